@@ -0,0 +1,301 @@
+// /discord/accountManager.mjs — Join Requests + Discord ↔ Kavita Account Links (State-Store-Persisted)
+//
+// Records may hold the user's own Kavita API key (set by /link), used to read
+// that user's personal Kavita data. It is encrypted (noona/store/secrets.mjs)
+// before it reaches any backend, local copy or journal; read it with getAccountApiKey.
+
+import { getState, setState } from '../noona/store/initStore.mjs';
+import { sealSecret, openSecret, isSealed } from '../noona/store/secrets.mjs';
+import {
+    printStep,
+    printResult,
+    printError
+} from '../noona/logger/logUtils.mjs';
+
+/**
+ * Discord user ID → account record.
+ * @typedef {{
+ *   discordId: string,
+ *   discordTag: string,
+ *   email: string,
+ *   status: 'pending' | 'active' | 'denied',
+ *   kavitaUserId: number|null,
+ *   kavitaUsername?: string,
+ *   apiKey?: string|null,
+ *   linkedAt?: string,
+ *   requestedAt: string,
+ *   decidedAt: string|null,
+ *   decidedBy: string|null
+ * }} AccountRecord
+ * @type {Record<string, AccountRecord>}
+ */
+let accounts = {};
+let loading = null;
+
+/**
+ * Discord IDs of pending requests a moderator decision is being carried out for.
+ * @type {Set<string>}
+ */
+const deciding = new Set();
+
+function getCooldownHours() {
+    const hours = parseInt(process.env.JOIN_COOLDOWN_HOURS, 10);
+    return isNaN(hours) || hours < 0 ? 24 : hours;
+}
+
+/**
+ * 📥 Load account records from the state store once; later calls reuse the result.
+ */
+export function loadAccounts() {
+    if (!loading) {
+        loading = (async () => {
+            printStep('[Accounts] 📥 Loading account records from the state store...');
+            const loaded = await getState('accounts', {});
+            if (loaded) {
+                accounts = loaded;
+                printResult(`[Accounts] ✅ Loaded ${Object.keys(accounts).length} account records`);
+                await sealLegacyApiKeys();
+            } else {
+                printError('[Accounts] ❌ Could not load account records — starting empty');
+                loading = null;
+            }
+            return accounts;
+        })();
+    }
+    return loading;
+}
+
+/**
+ * 🔒 Encrypt API keys saved in plaintext before keys were sealed.
+ */
+async function sealLegacyApiKeys() {
+    const plain = Object.values(accounts).filter(record => record.apiKey && !isSealed(record.apiKey));
+    if (!plain.length) return;
+
+    plain.forEach(record => {
+        record.apiKey = sealSecret(record.apiKey);
+    });
+    if (await persist()) printResult(`[Accounts] 🔒 Encrypted ${plain.length} stored API keys`);
+}
+
+async function persist() {
+    const saved = await setState('accounts', accounts);
+    if (!saved) printError('[Accounts] ❌ Failed to persist account records');
+    return saved;
+}
+
+/**
+ * 🔍 Get the account record for a Discord user.
+ * @param {string} discordId
+ * @returns {Promise<AccountRecord|null>}
+ */
+export async function getAccount(discordId) {
+    await loadAccounts();
+    return accounts[discordId] || null;
+}
+
+/**
+ * 🔑 The Kavita API key a Discord user linked with /link.
+ * @param {string} discordId
+ * @returns {Promise<string|null>} The key, or null when none is linked or it can't be decrypted
+ */
+export async function getAccountApiKey(discordId) {
+    const record = await getAccount(discordId);
+    return record?.apiKey ? openSecret(record.apiKey) : null;
+}
+
+/**
+ * 🔗 Get the Kavita user ID linked to a Discord user, if their account is active.
+ * @param {string} discordId
+ * @returns {Promise<number|null>}
+ */
+export async function getLinkedKavitaUserId(discordId) {
+    const record = await getAccount(discordId);
+    return record?.status === 'active' ? record.kavitaUserId : null;
+}
+
+/**
+ * 🚦 Check whether a Discord user may request an account with this email.
+ * @returns {Promise<string|null>} A reason the request is refused, or null when allowed
+ */
+export async function checkJoinEligibility(discordId, email) {
+    await loadAccounts();
+    const record = accounts[discordId];
+
+    if (record?.status === 'pending') return 'You already have a pending join request.';
+    if (record?.status === 'active') return 'You already have a Kavita account.';
+
+    if (record?.status === 'denied' && record.decidedAt) {
+        const waitMs = getCooldownHours() * 60 * 60 * 1000 - (Date.now() - new Date(record.decidedAt).getTime());
+        if (waitMs > 0) {
+            return `Your last request was denied. You can try again in ${Math.ceil(waitMs / (60 * 60 * 1000))} hour(s).`;
+        }
+    }
+
+    const normalized = email.toLowerCase();
+    const taken = Object.values(accounts).some(other =>
+        other.discordId !== discordId
+        && other.email?.toLowerCase() === normalized
+        && (other.status === 'pending' || other.status === 'active')
+    );
+    if (taken) return 'That email address is already in use.';
+
+    return null;
+}
+
+/**
+ * 📝 Record a new pending join request.
+ * @param {import('discord.js').User} user
+ * @param {string} email
+ * @returns {Promise<AccountRecord>}
+ */
+export async function createJoinRequest(user, email) {
+    await loadAccounts();
+    accounts[user.id] = {
+        discordId: user.id,
+        discordTag: user.tag,
+        email,
+        status: 'pending',
+        kavitaUserId: null,
+        requestedAt: new Date().toISOString(),
+        decidedAt: null,
+        decidedBy: null
+    };
+    await persist();
+    return accounts[user.id];
+}
+
+/**
+ * 🔒 Claim a pending request for one moderator's decision, so a second click
+ * can't approve or deny it at the same time. Release it with `releaseJoinRequest`.
+ * @param {string} discordId
+ * @returns {Promise<AccountRecord|null>} The request, or null when it isn't pending or is already claimed
+ */
+export async function claimJoinRequest(discordId) {
+    await loadAccounts();
+    const record = accounts[discordId];
+    if (record?.status !== 'pending' || deciding.has(discordId)) return null;
+
+    deciding.add(discordId);
+    return record;
+}
+
+/**
+ * 🔓 Release a request claimed with `claimJoinRequest`.
+ * @param {string} discordId
+ */
+export function releaseJoinRequest(discordId) {
+    deciding.delete(discordId);
+}
+
+/**
+ * ✅ Mark a request approved and link the created Kavita user.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function activateAccount(discordId, kavitaUserId, decidedBy = null) {
+    await loadAccounts();
+    const record = accounts[discordId];
+    if (!record) return false;
+
+    Object.assign(record, {
+        status: 'active',
+        kavitaUserId,
+        decidedAt: new Date().toISOString(),
+        decidedBy
+    });
+    return await persist();
+}
+
+/**
+ * ❌ Mark a request denied (starts the re-request cooldown).
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function denyAccount(discordId, decidedBy) {
+    await loadAccounts();
+    const record = accounts[discordId];
+    if (!record) return false;
+
+    Object.assign(record, {
+        status: 'denied',
+        decidedAt: new Date().toISOString(),
+        decidedBy
+    });
+    return await persist();
+}
+
+/**
+ * 🗑️ Drop a pending request that could not be submitted or fulfilled.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function cancelJoinRequest(discordId) {
+    await loadAccounts();
+    if (accounts[discordId]?.status !== 'pending') return true;
+
+    delete accounts[discordId];
+    return await persist();
+}
+
+/**
+ * 🔗 Find which Discord user a Kavita user is linked to.
+ * @param {number} kavitaUserId
+ * @returns {Promise<AccountRecord|null>}
+ */
+export async function getAccountByKavitaUserId(kavitaUserId) {
+    await loadAccounts();
+    return Object.values(accounts).find(record =>
+        record.status === 'active' && record.kavitaUserId === kavitaUserId
+    ) || null;
+}
+
+/**
+ * ✂️ Drop the account records of a Kavita user that was deleted (or whose invite
+ * was revoked), so the Discord user can `/join` or `/link` again.
+ * Records approved before their Kavita user ID was known are matched by email.
+ *
+ * @param {{ id: number, email?: string|null }} member - Kavita member
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function unlinkKavitaUser({ id, email = null }) {
+    await loadAccounts();
+    const normalized = email?.toLowerCase();
+    const linked = Object.values(accounts).filter(record =>
+        record.status === 'active' && (
+            record.kavitaUserId === id
+            || (record.kavitaUserId === null && normalized && record.email?.toLowerCase() === normalized)
+        )
+    );
+    if (!linked.length) return true;
+
+    linked.forEach(record => delete accounts[record.discordId]);
+    printResult(`[Accounts] ✂️ Unlinked Kavita user ${id} from ${linked.map(record => record.discordTag).join(', ')}`);
+    return await persist();
+}
+
+/**
+ * 🔗 Link a Discord user to an existing Kavita user (e.g. created outside /join).
+ * Replaces any previous record for the Discord user.
+ *
+ * @param {import('discord.js').User} user
+ * @param {{ kavitaUserId: number, username: string, email: string, apiKey?: string|null }} kavitaUser
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function linkAccount(user, { kavitaUserId, username, email, apiKey = null }) {
+    await loadAccounts();
+    const previous = accounts[user.id];
+    const now = new Date().toISOString();
+
+    accounts[user.id] = {
+        discordId: user.id,
+        discordTag: user.tag,
+        email,
+        status: 'active',
+        kavitaUserId,
+        kavitaUsername: username,
+        apiKey: apiKey ? sealSecret(apiKey) : null,
+        requestedAt: previous?.requestedAt || now,
+        decidedAt: previous?.decidedAt || now,
+        decidedBy: previous?.decidedBy || null,
+        linkedAt: now
+    };
+    return await persist();
+}
@@ -5,28 +5,197 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { printStep, printResult, printError, printDivider } from '../noona/logger/logUtils.mjs';
+import { hasComponentAccess } from './roleManager.mjs';
+import { printStep, printResult, printError, printDebug, printDivider } from '../noona/logger/logUtils.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const CUSTOM_ID_SEPARATOR = ':';
+const CUSTOM_ID_MAX_LENGTH = 100;
+
+// Wait for editors to finish writing before reloading commands.
+const RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * Component ID → handler, collected from every command's `components`.
+ * Replaced as a whole whenever commands are (re)loaded.
+ * @type {Map<string, ReturnType<typeof defineComponent>>}
+ */
+let componentRegistry = new Map();
+let commandWatcher = null;
+
+/**
+ * 🧩 Declare a button, select menu or modal handler. Commands list the handlers they own
+ * in `components`; IDs must be namespaced by the command name (`scan.page`).
+ *
+ * Custom IDs carry the handler ID, its version and its state fields in order:
+ * `scan.page:1:3:0:recent::` → `{ libraryId: '3', page: '0', sort: 'recent', format: null, genreId: null }`.
+ * Bump `version` whenever `state` changes so buttons on old messages expire instead of misbehaving.
+ *
+ * @param {{
+ *   id: string,
+ *   version?: number,
+ *   state?: string[],
+ *   permission?: string,
+ *   legacy?: RegExp,
+ *   execute: (interaction: import('discord.js').Interaction, state: Record<string, string|null>) => Promise<any>
+ * }} definition
+ *   `permission` defaults to the ID. `legacy` matches pre-router custom IDs still on long-lived
+ *   messages; its named groups become the state.
+ */
+export function defineComponent({ id, version = 1, state = [], permission = id, legacy = null, execute }) {
+    return {
+        id,
+        version,
+        state,
+        permission,
+        legacy,
+        execute,
+
+        /**
+         * 🏷️ Build a custom ID for this handler.
+         * @param {Record<string, string|number|null|undefined>} [values]
+         * @returns {string}
+         */
+        customId(values = {}) {
+            const parts = state.map(field => (values[field] === null || values[field] === undefined ? '' : String(values[field])));
+            if (parts.some(part => part.includes(CUSTOM_ID_SEPARATOR))) {
+                throw new Error(`State for ${id} may not contain "${CUSTOM_ID_SEPARATOR}"`);
+            }
+
+            const customId = [id, version, ...parts].join(CUSTOM_ID_SEPARATOR);
+            if (customId.length > CUSTOM_ID_MAX_LENGTH) {
+                throw new Error(`Custom ID for ${id} is longer than ${CUSTOM_ID_MAX_LENGTH} characters`);
+            }
+            return customId;
+        }
+    };
+}
+
+/**
+ * 📝 Add a command's component handlers to a registry.
+ * @param {object} command
+ * @param {Map<string, ReturnType<typeof defineComponent>>} registry
+ * @returns {number} Number of handlers registered
+ */
+function registerComponents(command, registry) {
+    const name = command.data.name;
+    let count = 0;
+
+    for (const component of command.components || []) {
+        if (!component.id.startsWith(`${name}.`)) {
+            printError(`⚠️ Component "${component.id}" in /${name} must be namespaced as "${name}.<action>"`);
+            continue;
+        }
+        if (registry.has(component.id)) {
+            printError(`⚠️ Duplicate component "${component.id}" in /${name}`);
+            continue;
+        }
+        registry.set(component.id, component);
+        count++;
+    }
+
+    return count;
+}
+
+/**
+ * 🔎 Find the handler and state for a custom ID, or null when it is unknown or from an older version.
+ * @param {string} customId
+ * @returns {{ component: ReturnType<typeof defineComponent>, state: Record<string, string|null> } | null}
+ */
+export function resolveComponent(customId) {
+    if (!customId.includes(CUSTOM_ID_SEPARATOR)) {
+        for (const component of componentRegistry.values()) {
+            const match = component.legacy?.exec(customId);
+            if (match) return { component, state: { ...match.groups } };
+        }
+        return null;
+    }
+
+    const [id, version, ...values] = customId.split(CUSTOM_ID_SEPARATOR);
+    const component = componentRegistry.get(id);
+    if (!component || String(component.version) !== version || values.length !== component.state.length) {
+        return null;
+    }
+
+    const state = Object.fromEntries(component.state.map((field, i) => [field, values[i] === '' ? null : values[i]]));
+    return { component, state };
+}
+
+/**
+ * 🔀 Dispatch a button, select menu or modal submission to the handler that owns its custom ID.
+ * Unknown and outdated IDs get an "expired" reply.
+ *
+ * @param {import('discord.js').MessageComponentInteraction | import('discord.js').ModalSubmitInteraction} interaction
+ */
+export async function routeComponent(interaction) {
+    const resolved = resolveComponent(interaction.customId);
+
+    if (!resolved) {
+        printDebug(`[Components] Expired or unknown custom ID from ${interaction.user.tag}: ${interaction.customId}`);
+        return interaction.reply({
+            content: '⌛ This menu expired. Run the command again to get a fresh one.',
+            ephemeral: true
+        });
+    }
+
+    const { component, state } = resolved;
+    if (!hasComponentAccess(interaction, component.permission)) return;
+
+    printDebug(`🔘 [Discord] ${interaction.user.tag} used ${component.id}`);
+    return component.execute(interaction, state);
+}
+
+/**
+ * 🗂️ Registered component handlers.
+ * @returns {Array<ReturnType<typeof defineComponent>>}
+ */
+export function getComponents() {
+    return [...componentRegistry.values()];
+}
+
+function isDevelopment() {
+    return process.env.NODE_ENV?.trim().toLowerCase() === 'development';
+}
+
 /**
  * Loads all slash commands from the /commands directory.
+ * In development (`NODE_ENV=development`) the directory is watched and commands are
+ * re-imported on change; `onReload` then receives the fresh result.
+ *
+ * @param {{ onReload?: (result: { commandJSON: Array, commandCollection: Collection, commandNames: string[] }) => Promise<void> }} [options]
  * @returns {Promise<{ commandJSON: Array, commandCollection: Collection, commandNames: string[] }>}
  */
-export async function loadCommands() {
+export async function loadCommands({ onReload } = {}) {
+    const result = await importCommands();
+
+    if (onReload && isDevelopment()) {
+        watchCommands(onReload);
+    }
+
+    return result;
+}
+
+/**
+ * 📦 Import every command module. `version` busts Node's module cache on reload.
+ */
+async function importCommands(version = null) {
     printStep('📦 Loading commands...');
 
     const commandJSON = [];
     const commandCollection = new Collection();
     const commandNames = [];
+    const registry = new Map();
+    let componentCount = 0;
 
     const commandsPath = path.join(__dirname, 'commands');
     const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.mjs'));
 
     for (const file of commandFiles) {
         try {
-            const commandModule = await import(`file://${path.join(commandsPath, file)}`);
+            const url = `file://${path.join(commandsPath, file)}${version ? `?v=${version}` : ''}`;
+            const commandModule = await import(url);
             const command = commandModule.default;
 
             if (!command || !command.data || !command.execute) {
@@ -37,35 +206,185 @@ export async function loadCommands() {
             commandJSON.push(command.data.toJSON());
             commandCollection.set(command.data.name, command);
             commandNames.push(command.data.name);
+            componentCount += registerComponents(command, registry);
         } catch (err) {
             printError(`❌ Failed to load command "${file}": ${err.message}`);
         }
     }
 
     global.__commandCollection = commandCollection;
+    componentRegistry = registry;
 
     printResult(`✅ Loaded ${commandCollection.size} commands.`);
     printResult(`Commands: [ ${commandNames.join(', ')} ]`);
+    printResult(`✅ Registered ${componentCount} component handlers.`);
     printDivider();
 
     return { commandJSON, commandCollection, commandNames };
 }
 
 /**
- * Registers slash commands with the Discord API.
+ * 👀 Reload commands whenever a file directly in /commands changes.
+ * Helper modules in subfolders (e.g. commands/admin/) stay cached until the bot restarts.
+ */
+function watchCommands(onReload) {
+    if (commandWatcher) return;
+
+    const commandsPath = path.join(__dirname, 'commands');
+    let timer = null;
+
+    commandWatcher = fs.watch(commandsPath, (event, file) => {
+        if (!file?.endsWith('.mjs')) return;
+
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            printStep(`♻️ ${file} changed — reloading commands...`);
+            try {
+                await onReload(await importCommands(Date.now()));
+            } catch (err) {
+                printError(`❌ Command reload failed: ${err.message}`);
+            }
+        }, RELOAD_DEBOUNCE_MS);
+    });
+    commandWatcher.unref();
+
+    printResult(`👀 Watching ${commandsPath} for changes (development mode)`);
+}
+
+/**
+ * Whether commands are registered per guild (`COMMAND_SCOPE=guild`) rather than globally.
+ * @returns {boolean}
+ */
+export function usesGuildScope() {
+    return process.env.COMMAND_SCOPE?.trim().toLowerCase() === 'guild';
+}
+
+/**
+ * 🎯 Where commands are registered: `COMMAND_SCOPE=guild` registers them in every given guild
+ * (instant updates), anything else registers them globally. `others` are the scopes a previous
+ * COMMAND_SCOPE may have left commands in.
+ * @param {string[]} guildIds - Guilds the bot is in
+ */
+function getCommandScope(guildIds) {
+    const appId = process.env.DISCORD_CLIENT_ID;
+    const guild = usesGuildScope();
+
+    if (guild && !guildIds.length) {
+        printError('⚠️ COMMAND_SCOPE=guild needs at least one guild (REQUIRED_GUILD_ID) — registering globally');
+    }
+
+    const globalScope = {
+        name: 'global',
+        list: Routes.applicationCommands(appId),
+        item: id => Routes.applicationCommand(appId, id)
+    };
+    const guildScopes = guildIds.map(guildId => ({
+        name: `guild ${guildId}`,
+        list: Routes.applicationGuildCommands(appId, guildId),
+        item: id => Routes.applicationGuildCommand(appId, guildId, id)
+    }));
+
+    if (!guild || !guildIds.length) return { targets: [globalScope], others: guildScopes };
+    return { targets: guildScopes, others: [globalScope] };
+}
+
+const omitEmpty = object => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+);
+
+function normalizeOption(option) {
+    return omitEmpty({
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        required: option.required ?? false,
+        autocomplete: option.autocomplete ?? false,
+        choices: (option.choices || []).map(({ name, value }) => ({ name, value })),
+        channel_types: [...(option.channel_types || [])].sort(),
+        min_value: option.min_value,
+        max_value: option.max_value,
+        min_length: option.min_length,
+        max_length: option.max_length,
+        options: (option.options || []).map(normalizeOption)
+    });
+}
+
+/**
+ * 🧮 Reduce a command to the fields this bot sets, with Discord's defaults filled in,
+ * so local builder output and what Discord returns can be compared.
+ */
+function normalizeCommand(command) {
+    return JSON.stringify(omitEmpty({
+        type: command.type ?? 1,
+        name: command.name,
+        description: command.description,
+        default_member_permissions: command.default_member_permissions,
+        nsfw: command.nsfw ?? false,
+        options: (command.options || []).map(normalizeOption)
+    }));
+}
+
+/**
+ * 🔁 Bring one scope's registered commands in line with `commandJSON`.
+ */
+async function syncScope(rest, scope, commandJSON) {
+    const registered = await rest.get(scope.list);
+    const byName = new Map(registered.map(command => [command.name, command]));
+    let created = 0;
+    let updated = 0;
+    let deleted = 0;
+
+    for (const command of commandJSON) {
+        const existing = byName.get(command.name);
+        byName.delete(command.name);
+
+        if (!existing) {
+            await rest.post(scope.list, { body: command });
+            created++;
+        } else if (normalizeCommand(existing) !== normalizeCommand(command)) {
+            await rest.patch(scope.item(existing.id), { body: command });
+            updated++;
+        }
+    }
+
+    for (const stale of byName.values()) {
+        await rest.delete(scope.item(stale.id));
+        deleted++;
+    }
+
+    if (created || updated || deleted) {
+        printResult(`✅ Slash commands synced (${scope.name}): ${created} created, ${updated} updated, ${deleted} deleted.`);
+    } else {
+        printResult(`✅ Slash commands already up to date (${scope.name}).`);
+    }
+}
+
+/**
+ * Registers slash commands with the Discord API, pushing only commands that were
+ * added, changed or removed since the last registration.
  * @param {Array} commandJSON - Array of slash command JSON payloads.
+ * @param {string[]} [guildIds] - Guilds the bot is in (used when COMMAND_SCOPE=guild)
  * @returns {Promise<number>} Number of commands registered
  */
-export async function registerCommands(commandJSON) {
+export async function registerCommands(commandJSON, guildIds = [process.env.REQUIRED_GUILD_ID].filter(Boolean)) {
     const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    const { targets, others } = getCommandScope(guildIds);
 
     try {
-        const data = await rest.put(
-            Routes.applicationCommands(process.env.DISCORD_CLIENT_ID),
-            { body: commandJSON }
-        );
-        printResult(`✅ Registered ${data.length} slash commands with Discord.`);
-        return data.length;
+        for (const scope of targets) {
+            await syncScope(rest, scope, commandJSON);
+        }
+
+        // Left over from a previous COMMAND_SCOPE; would otherwise show every command twice
+        for (const scope of others) {
+            const leftovers = await rest.get(scope.list);
+            if (leftovers.length) {
+                await rest.put(scope.list, { body: [] });
+                printResult(`🧹 Removed ${leftovers.length} ${scope.name} commands from a previous registration.`);
+            }
+        }
+
+        return commandJSON.length;
     } catch (err) {
         printError(`❌ Failed to register commands: ${err.message}`);
         return 0;
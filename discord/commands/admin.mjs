@@ -3,10 +3,20 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
 import kavita from '../../kavita/initKavita.mjs';
 import {
-    updateUserRoles,
+    updateKavitaUser,
     scanAllLibraries,
-    scanSingleLibrary
+    runServerTask,
+    SERVER_TASKS
 } from '../../kavita/postKavita.mjs';
+import { buildNotificationsGroup, handleNotificationsCommand, autocompleteAnnouncement } from './admin/notifications.mjs';
+import { buildUserGroup, handleUserCommand, autocompleteUser } from './admin/users.mjs';
+import { buildScheduleGroup, handleScheduleCommand, autocompleteJob } from './admin/schedule.mjs';
+import { buildPermissionsGroup, handlePermissionsCommand, autocompletePermissionKey } from './admin/permissions.mjs';
+import { buildSetupSubcommand, handleSetupCommand, setupComponents } from './admin/setup.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../guildConfig.mjs';
+import { describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { getCacheStats } from '../../kavita/responseCache.mjs';
+import { startTrackedScan, createReplyUpdater } from '../tasks/scanTracker.mjs';
 import { printError } from '../../noona/logger/logUtils.mjs';
 
 const command = {
@@ -17,7 +27,7 @@ const command = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('role')
-                .setDescription('Manage user roles')
+                .setDescription('Grant or revoke Kavita admin rights (see /admin user for other roles)')
                 .addStringOption(option =>
                     option.setName('email')
                         .setDescription('User email')
@@ -63,33 +73,71 @@ const command = {
                     option.setName('force')
                         .setDescription('Force full scan (single library only)')
                 )
-        ),
+        )
+        .addSubcommand(buildSetupSubcommand)
+        .addSubcommandGroup(buildNotificationsGroup)
+        .addSubcommandGroup(buildUserGroup)
+        .addSubcommandGroup(buildScheduleGroup)
+        .addSubcommandGroup(buildPermissionsGroup),
 
     async execute(interaction) {
         await interaction.deferReply({ ephemeral: true });
         const subcommand = interaction.options.getSubcommand();
 
+        const group = interaction.options.getSubcommandGroup();
+
+        if (!group && subcommand === 'setup') {
+            return handleSetupCommand(interaction);
+        }
+
+        if (group === 'notifications') {
+            return handleNotificationsCommand(interaction, subcommand);
+        }
+
+        if (group === 'permissions') {
+            return handlePermissionsCommand(interaction, subcommand);
+        }
+
+        if (group === 'schedule') {
+            return handleScheduleCommand(interaction, subcommand);
+        }
+
+        if (group === 'user') {
+            try {
+                return await handleUserCommand(interaction, subcommand);
+            } catch (err) {
+                printError(`❌ /admin user ${subcommand} failed:`, err);
+                return interaction.editReply(describeKavitaError(err, 'That user'));
+            }
+        }
+
         if (subcommand === 'role') {
             const email = interaction.options.getString('email');
             const role = interaction.options.getString('role');
 
             const userId = await kavita.getUserIdByEmail(email);
-            if (!userId) {
+            const member = userId ? await kavita.getUserById(userId) : null;
+            if (!member) {
                 return interaction.editReply(`❌ User with email ${email} not found.`);
             }
 
-            const result = await updateUserRoles(userId, [role]);
-            if (result) {
+            // Only toggle Admin; the user's other roles are kept as-is
+            const roles = role === 'admin'
+                ? [...new Set([...member.roles, 'Admin'])]
+                : member.roles.filter(r => r !== 'Admin');
+
+            try {
+                await updateKavitaUser(member, { roles });
                 return interaction.editReply(`✅ Updated role to **${role}** for **${email}**`);
-            } else {
-                return interaction.editReply(`❌ Failed to update role for **${email}**`);
+            } catch (err) {
+                printError('❌ Failed to update role:', err);
+                return interaction.editReply(describeKavitaError(err, 'That user'));
             }
         }
 
         if (subcommand === 'server-status') {
             try {
                 const stats = await kavita.fetchData('/api/Stats/server/stats');
-                if (!stats) return interaction.editReply('❌ Failed to fetch server statistics.');
 
                 const embed = new EmbedBuilder()
                     .setTitle('📊 Kavita Server Stats')
@@ -130,10 +178,19 @@ const command = {
                     });
                 }
 
+                const cache = getCacheStats();
+                embed.addFields({
+                    name: '🗄️ Portal Cache',
+                    value: cache.enabled
+                        ? `${cache.hits} hits · ${cache.misses} misses · ${cache.coalesced} coalesced (${Math.round(cache.hitRate * 100)}% served without a new request) · ${cache.size} entries`
+                        : 'Disabled',
+                    inline: false
+                });
+
                 return interaction.editReply({ embeds: [embed] });
             } catch (err) {
                 printError('❌ Failed to fetch server stats:', err);
-                return interaction.editReply('❌ Error fetching server statistics.');
+                return interaction.editReply(describeKavitaError(err));
             }
         }
 
@@ -142,11 +199,14 @@ const command = {
 
             if (task === 'scan-libraries') {
                 try {
-                    await scanAllLibraries();
-                    return interaction.editReply('✅ Scan for all libraries started.');
+                    const queued = await scanAllLibraries();
+                    if (!queued) {
+                        return interaction.editReply('❌ No libraries to scan — set `KAVITA_LIBRARY_IDS`.');
+                    }
+                    return interaction.editReply(`✅ Scan started for ${queued} librar${queued === 1 ? 'y' : 'ies'}.`);
                 } catch (err) {
                     printError('❌ Failed to scan all libraries:', err);
-                    return interaction.editReply('❌ Could not scan all libraries.');
+                    return interaction.editReply(describeKavitaError(err));
                 }
             }
 
@@ -154,50 +214,76 @@ const command = {
                 const libraryQuery = interaction.options.getString('library');
                 const force = interaction.options.getBoolean('force') ?? false;
 
+                if (!libraryQuery) {
+                    return interaction.editReply('❌ Pick a library to scan.');
+                }
+
                 try {
                     const libraries = await kavita.getLibraries();
                     const library = libraries.find(lib =>
                         lib.id.toString() === libraryQuery || lib.name.toLowerCase() === libraryQuery.toLowerCase()
                     );
 
-                    if (!library) {
+                    if (!library || !isLibraryAllowed(getGuildConfig(interaction.guildId), library.id)) {
                         return interaction.editReply(`❌ Library "${libraryQuery}" not found.`);
                     }
 
-                    await scanSingleLibrary(library.id, force);
-                    return interaction.editReply(`✅ Scan started for library: **${library.name}** (${force ? 'forced' : 'normal'})`);
+                    const status = await startTrackedScan({
+                        client: interaction.client,
+                        library,
+                        force,
+                        requestedBy: interaction.user.tag,
+                        guildId: interaction.guildId,
+                        update: createReplyUpdater(interaction)
+                    });
+                    return interaction.editReply(status);
                 } catch (err) {
                     printError('❌ Failed to scan library:', err);
-                    return interaction.editReply(`❌ Failed to scan library "${libraryQuery}".`);
+                    return interaction.editReply(describeKavitaError(err, `Library "${libraryQuery}"`));
                 }
             }
 
-            const endpoints = {
-                'clear-cache': '/api/Server/clear-cache',
-                'cleanup': '/api/Server/cleanup',
-                'backup-db': '/api/Server/backup-db'
-            };
-
-            const endpoint = endpoints[task];
-            if (endpoint) {
+            if (SERVER_TASKS[task]) {
                 try {
-                    await kavita.fetchData(endpoint, 'POST');
-                    return interaction.editReply(`✅ ${task.replace('-', ' ')} started successfully.`);
+                    await runServerTask(task);
+                    return interaction.editReply(`✅ ${SERVER_TASKS[task].label} started successfully.`);
                 } catch (err) {
                     printError(`❌ Failed ${task}:`, err);
-                    return interaction.editReply(`❌ ${task} failed.`);
+                    return interaction.editReply(describeKavitaError(err));
                 }
             }
         }
     },
 
     async autocomplete(interaction) {
-        const subcommand = interaction.options.getSubcommand();
         const focused = interaction.options.getFocused(true);
 
-        if (subcommand === 'server-maintenance' && focused.name === 'library') {
+        if (focused.name === 'user') {
+            try {
+                await autocompleteUser(interaction, focused);
+            } catch (err) {
+                printError('❌ Autocomplete failed:', err);
+                await interaction.respond([]);
+            }
+            return;
+        }
+
+        if (focused.name === 'key') {
+            return autocompletePermissionKey(interaction, focused);
+        }
+
+        if (focused.name === 'job') {
+            return autocompleteJob(interaction, focused);
+        }
+
+        if (focused.name === 'announcement') {
+            return autocompleteAnnouncement(interaction, focused);
+        }
+
+        if (focused.name === 'library') {
             try {
-                const libraries = await kavita.getLibraries();
+                const config = getGuildConfig(interaction.guildId);
+                const libraries = (await kavita.getLibraries()).filter(lib => isLibraryAllowed(config, lib.id));
                 const query = focused.value.toLowerCase();
 
                 const matches = libraries
@@ -217,7 +303,9 @@ const command = {
                 await interaction.respond([]);
             }
         }
-    }
+    },
+
+    components: setupComponents
 };
 
 export default command;
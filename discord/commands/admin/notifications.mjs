@@ -0,0 +1,294 @@
+// /discord/commands/admin/notifications.mjs — /admin notifications (Per-Library Routing)
+
+import { EmbedBuilder, ChannelType } from 'discord.js';
+import kavita from '../../../kavita/initKavita.mjs';
+import {
+    getNotificationRoutes,
+    addRouteChannel,
+    removeRouteChannel,
+    setRouteRole,
+    resetRoute
+} from '../../tasks/notificationRoutes.mjs';
+import {
+    loadAnnouncements,
+    listAnnouncements,
+    getAnnouncement,
+    addAnnouncementMessages,
+    retractAnnouncement
+} from '../../tasks/notificationHistory.mjs';
+import { repostAnnouncement } from '../../../kavita/postKavita.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../../guildConfig.mjs';
+
+const announcementOption = option =>
+    option.setName('announcement')
+        .setDescription('Announcement to act on')
+        .setRequired(true)
+        .setAutocomplete(true);
+
+/**
+ * 🧱 Define the `/admin notifications` subcommand group.
+ * @param {import('discord.js').SlashCommandSubcommandGroupBuilder} group
+ */
+export function buildNotificationsGroup(group) {
+    return group
+        .setName('notifications')
+        .setDescription('Route library notifications to channels')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show where each library posts notifications')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add-channel')
+                .setDescription('Post a library\'s notifications to a channel')
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post in')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove-channel')
+                .setDescription('Stop posting a library\'s notifications to a channel')
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to remove')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-role')
+                .setDescription('Mention a role with a library\'s notifications (omit to clear)')
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to mention')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Send a library\'s notifications to the default channel again')
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('Show recent announcements')
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Only show this library')
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('repost')
+                .setDescription('Post an announcement again in this server')
+                .addStringOption(announcementOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('retract')
+                .setDescription('Take an announcement down in this server')
+                .addStringOption(announcementOption)
+        );
+}
+
+/**
+ * 🔔 Run an `/admin notifications <subcommand>` request.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} subcommand
+ */
+export async function handleNotificationsCommand(interaction, subcommand) {
+    const libraries = await kavita.getLibraries() || [];
+    const libraryName = id => libraries.find(lib => lib.id.toString() === String(id))?.name || `Library ${id}`;
+
+    if (subcommand === 'list') {
+        const routes = getNotificationRoutes();
+        const fallback = getGuildConfig(interaction.guildId)?.channels.notifications;
+
+        const embed = new EmbedBuilder()
+            .setTitle('🔔 Notification Routes')
+            .setColor(0x5865F2)
+            .setDescription(fallback
+                ? `Libraries without a route post to <#${fallback}>.`
+                : 'No notification channel configured for this server (see `/admin setup`).');
+
+        const entries = Object.entries(routes);
+        if (!entries.length) {
+            embed.addFields({ name: 'Routes', value: 'No per-library routes configured.' });
+        }
+
+        entries.slice(0, 25).forEach(([libraryId, route]) => {
+            const channels = route.channelIds?.length
+                ? route.channelIds.map(id => `<#${id}>`).join(', ')
+                : 'Default channel';
+            embed.addFields({
+                name: libraryName(libraryId),
+                value: `Channels: ${channels}\nMention: ${route.roleId ? `<@&${route.roleId}>` : 'None'}`
+            });
+        });
+
+        return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (subcommand === 'history') {
+        return showHistory(interaction);
+    }
+
+    if (subcommand === 'repost' || subcommand === 'retract') {
+        return handleAnnouncementAction(interaction, subcommand);
+    }
+
+    const libraryQuery = interaction.options.getString('library');
+    const library = libraries.find(lib =>
+        lib.id.toString() === libraryQuery || lib.name.toLowerCase() === libraryQuery.toLowerCase()
+    );
+    if (!library) {
+        return interaction.editReply(`❌ Library "${libraryQuery}" not found.`);
+    }
+
+    let saved;
+    let message;
+
+    if (subcommand === 'add-channel') {
+        const channel = interaction.options.getChannel('channel');
+        saved = await addRouteChannel(library.id, channel.id);
+        message = `✅ **${library.name}** notifications will be posted in <#${channel.id}>.`;
+    } else if (subcommand === 'remove-channel') {
+        const channel = interaction.options.getChannel('channel');
+        saved = await removeRouteChannel(library.id, channel.id);
+        message = `✅ **${library.name}** notifications will no longer be posted in <#${channel.id}>.`;
+    } else if (subcommand === 'set-role') {
+        const role = interaction.options.getRole('role');
+        saved = await setRouteRole(library.id, role?.id || null);
+        message = role
+            ? `✅ **${library.name}** notifications will mention <@&${role.id}>.`
+            : `✅ **${library.name}** notifications will no longer mention a role.`;
+    } else if (subcommand === 'reset') {
+        saved = await resetRoute(library.id);
+        message = `✅ **${library.name}** notifications reset to the default channel.`;
+    }
+
+    if (!saved) {
+        message += '\n⚠️ The change is active but could not be saved — it will be lost on restart.';
+    }
+
+    return interaction.editReply({ content: message, allowedMentions: { parse: [] } });
+}
+
+/**
+ * 🔎 Suggest announcements this server can see.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {{ value: string }} focused
+ */
+export async function autocompleteAnnouncement(interaction, focused) {
+    await loadAnnouncements();
+    const query = focused.value.toLowerCase();
+    const matches = visibleAnnouncements(interaction.guildId)
+        .filter(entry => entry.title.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(entry => ({
+            name: `${entry.kind === 'series' ? '📚' : '📖'} ${entry.title} · ${entry.announcedAt.slice(0, 10)}`.slice(0, 100),
+            value: entry.id
+        }));
+
+    await interaction.respond(matches);
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+/**
+ * Announcements with enough details to show, for libraries the guild can see.
+ */
+function visibleAnnouncements(guildId) {
+    const config = getGuildConfig(guildId);
+    return listAnnouncements(entry => entry.title && isLibraryAllowed(config, entry.libraryId));
+}
+
+async function showHistory(interaction) {
+    if (!(await loadAnnouncements())) {
+        return interaction.editReply('❌ Announcement history is unavailable right now.');
+    }
+
+    const libraryId = interaction.options.getString('library');
+    const entries = visibleAnnouncements(interaction.guildId)
+        .filter(entry => !libraryId || String(entry.libraryId) === libraryId);
+
+    const link = ref => {
+        const guildId = interaction.client.channels.cache.get(ref.channelId)?.guildId;
+        return guildId === interaction.guildId
+            ? `[#](https://discord.com/channels/${guildId}/${ref.channelId}/${ref.messageId})`
+            : null;
+    };
+
+    const lines = entries.slice(0, 15).map(entry => {
+        const links = entry.messages.map(link).filter(Boolean).join(' ');
+        const status = entry.retractedAt ? '🗑️ retracted' : links || 'not posted here';
+        return `${entry.kind === 'series' ? '📚' : '📖'} **${entry.title}** · ${entry.libraryName || 'Unknown Library'} · <t:${Math.floor(new Date(entry.announcedAt).getTime() / 1000)}:R> · ${status}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗂️ Announcement History')
+        .setColor(0x5865F2)
+        .setDescription(lines.join('\n').slice(0, 4096) || 'Nothing was announced within the lookback window.')
+        .setFooter({ text: `Showing ${lines.length} of ${entries.length} · use repost / retract to act on one` });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function handleAnnouncementAction(interaction, subcommand) {
+    await loadAnnouncements();
+    const entry = getAnnouncement(interaction.options.getString('announcement'));
+
+    if (!entry || !entry.title || !isLibraryAllowed(getGuildConfig(interaction.guildId), entry.libraryId)) {
+        return interaction.editReply('❌ Announcement not found. It may be older than the lookback window.');
+    }
+
+    if (subcommand === 'retract') {
+        const changed = await retractAnnouncement(interaction.client, entry.id, interaction.guildId);
+        return interaction.editReply(changed
+            ? `🗑️ Retracted **${entry.title}** (${changed} message${changed === 1 ? '' : 's'} updated).`
+            : `ℹ️ No messages for **${entry.title}** are left in this server.`);
+    }
+
+    const messages = await repostAnnouncement(interaction.client, entry, interaction.guildId);
+    if (!messages.length) {
+        return interaction.editReply(`❌ **${entry.libraryName || 'This library'}** has no notification channel in this server.`);
+    }
+
+    await addAnnouncementMessages(entry.id, messages);
+    return interaction.editReply({
+        content: `✅ Re-posted **${entry.title}** in ${messages.map(ref => `<#${ref.channelId}>`).join(', ')}.`,
+        allowedMentions: { parse: [] }
+    });
+}
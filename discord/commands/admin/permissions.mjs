@@ -0,0 +1,213 @@
+// /discord/commands/admin/permissions.mjs — /admin permissions (Command + Button Access Rules)
+
+import { EmbedBuilder } from 'discord.js';
+import {
+    getPermissionRules,
+    listPermissionKeys,
+    evaluatePermission,
+    allowRole,
+    removeRole,
+    allowUser,
+    denyUser,
+    clearUser,
+    resetRule
+} from '../../roleManager.mjs';
+
+const keyOption = option =>
+    option.setName('key')
+        .setDescription('Permission key, e.g. admin.user.delete or join.approve')
+        .setRequired(true)
+        .setAutocomplete(true);
+
+/**
+ * 🧱 Define the `/admin permissions` subcommand group.
+ * @param {import('discord.js').SlashCommandSubcommandGroupBuilder} group
+ */
+export function buildPermissionsGroup(group) {
+    return group
+        .setName('permissions')
+        .setDescription('Control who can use each command, subcommand and button')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show every permission rule')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('check')
+                .setDescription('Explain whether a member can use a permission key')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to check')
+                        .setRequired(true)
+                )
+                .addStringOption(keyOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('allow-role')
+                .setDescription('Let a role use a permission key')
+                .addStringOption(keyOption)
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to allow (@everyone allows all members)')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove-role')
+                .setDescription('Stop a role from using a permission key')
+                .addStringOption(keyOption)
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to remove')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('allow-user')
+                .setDescription('Let a member use a permission key regardless of roles')
+                .addStringOption(keyOption)
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to allow')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('deny-user')
+                .setDescription('Block a member from a permission key and everything under it')
+                .addStringOption(keyOption)
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to deny')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear-user')
+                .setDescription('Remove a member\'s allow or deny override')
+                .addStringOption(keyOption)
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to clear')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Drop a custom rule and go back to the default')
+                .addStringOption(keyOption)
+        );
+}
+
+/**
+ * 🛂 Run an `/admin permissions <subcommand>` request.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} subcommand
+ */
+export async function handlePermissionsCommand(interaction, subcommand) {
+    if (subcommand === 'list') {
+        return interaction.editReply({ embeds: [buildRulesEmbed(interaction.guildId)] });
+    }
+
+    const key = interaction.options.getString('key').trim().toLowerCase();
+    if (!listPermissionKeys(interaction.client.commands.values()).includes(key)) {
+        return interaction.editReply(`❌ Unknown permission key \`${key}\`.`);
+    }
+
+    if (subcommand === 'check') {
+        const user = interaction.options.getUser('user');
+        const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+        const roleIds = member ? [...member.roles.cache.keys()] : [];
+        const { allowed, reason, rule } = evaluatePermission(key, { userId: user.id, roleIds, guildId: interaction.guildId });
+        const reasons = {
+            'user denied': 'they are on the deny list',
+            'user allowed': 'they are on the allow list',
+            'role allowed': 'they have an allowed role',
+            'missing role': 'they have none of the allowed roles',
+            'no rule': 'no rule covers this key'
+        };
+        return interaction.editReply(
+            `${allowed ? '✅' : '❌'} ${user} ${allowed ? 'can' : 'cannot'} use \`${key}\` — ${reasons[reason]}${rule ? ` (rule \`${rule}\`)` : ''}.`
+        );
+    }
+
+    if (subcommand === 'reset') {
+        const saved = await resetRule(interaction.guildId, key);
+        return interaction.editReply(saved
+            ? `♻️ \`${key}\` is back to its default rule.`
+            : '❌ Could not save the change.');
+    }
+
+    const role = interaction.options.getRole('role');
+    const user = interaction.options.getUser('user');
+    const actions = {
+        'allow-role': [() => allowRole(interaction.guildId, key, role.id), `✅ ${role} can now use \`${key}\`.`],
+        'remove-role': [() => removeRole(interaction.guildId, key, role.id), `🚫 ${role} can no longer use \`${key}\`.`],
+        'allow-user': [() => allowUser(interaction.guildId, key, user.id), `✅ ${user} can now use \`${key}\`.`],
+        'deny-user': [() => denyUser(interaction.guildId, key, user.id), `🚫 ${user} is now denied \`${key}\`.`],
+        'clear-user': [() => clearUser(interaction.guildId, key, user.id), `♻️ Cleared overrides for ${user} on \`${key}\`.`]
+    };
+
+    const [apply, message] = actions[subcommand];
+    const saved = await apply();
+    return interaction.editReply({
+        content: saved ? message : '❌ Could not save the change.',
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * 🔎 Suggest permission keys.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {{ value: string }} focused
+ */
+export async function autocompletePermissionKey(interaction, focused) {
+    const query = focused.value.toLowerCase();
+    const matches = listPermissionKeys(interaction.client.commands.values())
+        .filter(key => key.includes(query))
+        .slice(0, 25)
+        .map(key => ({ name: key, value: key }));
+
+    await interaction.respond(matches);
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+function buildRulesEmbed(guildId) {
+    const rules = Object.entries(getPermissionRules(guildId)).sort(([a], [b]) => a.localeCompare(b));
+    const embed = new EmbedBuilder()
+        .setTitle('🛂 Permission Rules')
+        .setDescription('Keys without a rule use their parent\'s (`admin.user.delete` → `admin.user` → `admin`). Keys with no rule at all are denied.')
+        .setColor(0x5865F2)
+        .setTimestamp();
+
+    rules.slice(0, 25).forEach(([key, rule]) => {
+        const lines = [
+            rule.roles.length ? `Roles: ${rule.roles.map(id => (id === guildId ? '@everyone' : `<@&${id}>`)).join(', ')}` : 'Roles: none',
+            rule.allowUsers.length ? `Allow: ${rule.allowUsers.map(id => `<@${id}>`).join(', ')}` : null,
+            rule.denyUsers.length ? `Deny: ${rule.denyUsers.map(id => `<@${id}>`).join(', ')}` : null
+        ].filter(Boolean);
+
+        embed.addFields({
+            name: `${key}${rule.custom ? ' ✏️' : ''}`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: true
+        });
+    });
+
+    if (rules.length > 25) {
+        embed.setFooter({ text: `Showing 25 of ${rules.length} rules · ✏️ = customised` });
+    } else {
+        embed.setFooter({ text: '✏️ = customised' });
+    }
+
+    return embed;
+}
@@ -0,0 +1,189 @@
+// /discord/commands/admin/schedule.mjs — /admin schedule (Scheduled Maintenance Jobs)
+
+import { EmbedBuilder } from 'discord.js';
+import {
+    JOB_TASKS,
+    listJobs,
+    findJob,
+    addJob,
+    setJobPaused,
+    removeJob,
+    triggerJob
+} from '../../tasks/jobScheduler.mjs';
+import { CronSyntaxError, parseCron, nextCronRun } from '../../../noona/scheduler/cronExpression.mjs';
+
+const jobOption = option =>
+    option.setName('job')
+        .setDescription('Job name')
+        .setRequired(true)
+        .setAutocomplete(true);
+
+/**
+ * 🧱 Define the `/admin schedule` subcommand group.
+ * @param {import('discord.js').SlashCommandSubcommandGroupBuilder} group
+ */
+export function buildScheduleGroup(group) {
+    return group
+        .setName('schedule')
+        .setDescription('Run maintenance tasks on a cron schedule')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show scheduled jobs, their next run and last result')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Schedule a maintenance task')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name for the job')
+                        .setRequired(true)
+                        .setMaxLength(50)
+                )
+                .addStringOption(option =>
+                    option.setName('task')
+                        .setDescription('Task to run')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(JOB_TASKS).map(([value, { label }]) => ({ name: label, value })))
+                )
+                .addStringOption(option =>
+                    option.setName('cron')
+                        .setDescription('Cron expression, e.g. "0 4 * * *" (daily 04:00) or @weekly')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('pause')
+                .setDescription('Stop a job from running on its schedule')
+                .addStringOption(jobOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('resume')
+                .setDescription('Let a paused job run on its schedule again')
+                .addStringOption(jobOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('trigger')
+                .setDescription('Run a job right now')
+                .addStringOption(jobOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Delete a scheduled job')
+                .addStringOption(jobOption)
+        );
+}
+
+/**
+ * ⏰ Run an `/admin schedule <subcommand>` request.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} subcommand
+ */
+export async function handleScheduleCommand(interaction, subcommand) {
+    if (subcommand === 'list') {
+        return listScheduledJobs(interaction);
+    }
+
+    if (subcommand === 'add') {
+        const name = interaction.options.getString('name').trim();
+        const task = interaction.options.getString('task');
+        const cron = interaction.options.getString('cron');
+
+        if (findJob(name)) {
+            return interaction.editReply(`❌ A job named **${name}** already exists.`);
+        }
+
+        try {
+            const { job, saved } = await addJob({ name, task, cron, createdBy: interaction.user.tag });
+            const next = nextCronRun(parseCron(job.cron));
+            return interaction.editReply([
+                `✅ Scheduled **${job.name}** (${JOB_TASKS[task].label}) at \`${job.cron}\`.`,
+                next ? `Next run: <t:${Math.floor(next.getTime() / 1000)}:f>` : '⚠️ This schedule never fires within the next year.',
+                saved ? null : '⚠️ The job could not be saved — it will be lost on restart.'
+            ].filter(Boolean).join('\n'));
+        } catch (err) {
+            if (err instanceof CronSyntaxError) {
+                return interaction.editReply(`❌ Invalid cron expression: ${err.message}`);
+            }
+            throw err;
+        }
+    }
+
+    const query = interaction.options.getString('job');
+    const job = findJob(query);
+    if (!job) {
+        return interaction.editReply(`❌ No scheduled job named "${query}".`);
+    }
+
+    if (subcommand === 'pause' || subcommand === 'resume') {
+        const saved = await setJobPaused(job.id, subcommand === 'pause');
+        return interaction.editReply(`${subcommand === 'pause' ? '⏸️ Paused' : '▶️ Resumed'} **${job.name}**.${saved ? '' : ' ⚠️ Could not save the change.'}`);
+    }
+
+    if (subcommand === 'remove') {
+        const saved = await removeJob(job.id);
+        return interaction.editReply(`🗑️ Removed **${job.name}**.${saved ? '' : ' ⚠️ Could not save the change.'}`);
+    }
+
+    if (subcommand === 'trigger') {
+        await interaction.editReply(`⚡ Running **${job.name}**… the result is also posted to the job results channel.`);
+        const { status, message } = await triggerJob(job.id, interaction.user.tag);
+        const icons = { success: '✅', failed: '❌', skipped: '⏭️' };
+        // Long jobs can outlive the interaction token
+        return interaction.editReply(`${icons[status]} **${job.name}**: ${message}`).catch(() => null);
+    }
+}
+
+/**
+ * 🔎 Suggest scheduled jobs by name.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {{ value: string }} focused
+ */
+export async function autocompleteJob(interaction, focused) {
+    const query = focused.value.toLowerCase();
+    const matches = listJobs()
+        .filter(job => job.name.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(job => ({ name: `${job.name}${job.paused ? ' (paused)' : ''}`.slice(0, 100), value: job.id }));
+
+    await interaction.respond(matches);
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+async function listScheduledJobs(interaction) {
+    const jobs = listJobs({ withNextRun: true });
+    const embed = new EmbedBuilder()
+        .setTitle(`⏰ Scheduled Jobs (${jobs.length})`)
+        .setColor(0x5865F2)
+        .setTimestamp();
+
+    if (!jobs.length) {
+        embed.setDescription('No jobs scheduled. Add one with `/admin schedule add`.');
+    }
+
+    const icons = { success: '✅', failed: '❌', skipped: '⏭️' };
+    jobs.slice(0, 25).forEach(job => {
+        const state = job.running ? '🔄 Running' : job.paused ? '⏸️ Paused' : job.invalidCron
+            ? `⚠️ Invalid schedule: ${job.invalidCron}`
+            : job.nextRun
+                ? `Next <t:${Math.floor(job.nextRun.getTime() / 1000)}:R>`
+                : 'Never fires';
+        const last = job.lastRun
+            ? `${icons[job.lastRun.status]} <t:${Math.floor(new Date(job.lastRun.at).getTime() / 1000)}:R> — ${job.lastRun.message}`
+            : 'Never run';
+
+        embed.addFields({
+            name: `${job.name} · ${JOB_TASKS[job.task]?.label || job.task}`.slice(0, 256),
+            value: `\`${job.cron}\` · ${state}\nLast: ${last}`.slice(0, 1024)
+        });
+    });
+
+    return interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,253 @@
+// /discord/commands/admin/setup.mjs — /admin setup (Per-Guild Settings Wizard)
+
+import {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ChannelType,
+    RoleSelectMenuBuilder,
+    ChannelSelectMenuBuilder,
+    StringSelectMenuBuilder
+} from 'discord.js';
+import kavita from '../../../kavita/initKavita.mjs';
+import { defineComponent } from '../../commandManager.mjs';
+import { getGuildConfig, updateGuildConfig, resetGuildConfig } from '../../guildConfig.mjs';
+
+const STEPS = ['roles', 'channels', 'access', 'done'];
+
+const ROLE_LABELS = { admin: 'Admin role', mod: 'Moderator role', user: 'Member role' };
+const CHANNEL_LABELS = { notifications: 'Notification channel', joinApproval: 'Join approval channel', modLog: 'Mod log channel' };
+
+const setupStep = defineComponent({
+    id: 'admin.setup-step',
+    state: ['step'],
+    permission: 'admin.setup',
+    execute: async (interaction, { step }) => {
+        await interaction.deferUpdate();
+        return interaction.editReply(await renderStep(interaction, STEPS.includes(step) ? step : 'roles'));
+    }
+});
+
+const setupRole = defineComponent({
+    id: 'admin.setup-role',
+    state: ['role'],
+    permission: 'admin.setup',
+    execute: (interaction, { role }) => saveAndRender(interaction, 'roles', config => {
+        if (role in ROLE_LABELS) config.roles[role] = interaction.values[0] || null;
+    })
+});
+
+const setupChannel = defineComponent({
+    id: 'admin.setup-channel',
+    state: ['channel'],
+    permission: 'admin.setup',
+    execute: (interaction, { channel }) => saveAndRender(interaction, 'channels', config => {
+        if (channel in CHANNEL_LABELS) config.channels[channel] = interaction.values[0] || null;
+    })
+});
+
+const setupCommands = defineComponent({
+    id: 'admin.setup-commands',
+    permission: 'admin.setup',
+    execute: (interaction) => saveAndRender(interaction, 'access', config => {
+        const all = commandNames(interaction);
+        config.commands = all.every(name => interaction.values.includes(name)) ? null : interaction.values;
+    })
+});
+
+const setupLibraries = defineComponent({
+    id: 'admin.setup-libraries',
+    permission: 'admin.setup',
+    execute: async (interaction) => {
+        await interaction.deferUpdate();
+        const libraries = await kavita.getLibraries();
+        const selected = interaction.values.map(id => parseInt(id, 10));
+        return saveAndRender(interaction, 'access', config => {
+            config.libraries = libraries.every(lib => selected.includes(lib.id)) ? null : selected;
+        });
+    }
+});
+
+const setupReset = defineComponent({
+    id: 'admin.setup-reset',
+    permission: 'admin.setup',
+    execute: async (interaction) => {
+        await interaction.deferUpdate();
+        const saved = await resetGuildConfig(interaction.guildId);
+        const view = await renderStep(interaction, 'roles');
+        return interaction.editReply({
+            ...view,
+            content: saved ? '♻️ Settings reset.' : '⚠️ Could not save the change.'
+        });
+    }
+});
+
+/**
+ * Component handlers owned by the setup wizard.
+ */
+export const setupComponents = [setupStep, setupRole, setupChannel, setupCommands, setupLibraries, setupReset];
+
+/**
+ * 🧱 Define the `/admin setup` subcommand.
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand
+ */
+export function buildSetupSubcommand(subcommand) {
+    return subcommand
+        .setName('setup')
+        .setDescription('Configure roles, channels, commands and libraries for this server');
+}
+
+/**
+ * 🧙 Open the setup wizard for the current guild.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleSetupCommand(interaction) {
+    return interaction.editReply(await renderStep(interaction, 'roles'));
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+function commandNames(interaction) {
+    return [...interaction.client.commands.keys()].filter(name => name !== 'admin').sort();
+}
+
+/**
+ * 💾 Save a change to the guild's settings and redraw the wizard on the same step.
+ */
+async function saveAndRender(interaction, step, mutate) {
+    if (!interaction.deferred) await interaction.deferUpdate();
+
+    const saved = await updateGuildConfig(interaction.guildId, mutate, interaction.user.tag);
+
+    const view = await renderStep(interaction, step);
+    return interaction.editReply({
+        ...view,
+        content: saved ? '✅ Saved.' : '⚠️ Could not save the change.'
+    });
+}
+
+function describeConfig(config, libraries) {
+    const role = id => (id ? `<@&${id}>` : 'Not set');
+    const channel = id => (id ? `<#${id}>` : 'Not set');
+    const libraryNames = config.libraries
+        ? config.libraries.map(id => libraries.find(lib => lib.id === id)?.name || `Library ${id}`).join(', ') || 'None'
+        : 'All';
+
+    return [
+        { name: '👥 Roles', value: Object.entries(ROLE_LABELS).map(([key, label]) => `${label}: ${role(config.roles[key])}`).join('\n') },
+        { name: '📢 Channels', value: Object.entries(CHANNEL_LABELS).map(([key, label]) => `${label}: ${channel(config.channels[key])}`).join('\n') },
+        { name: '🧩 Commands', value: config.commands ? ['admin', ...config.commands].map(name => `/${name}`).join(', ') : 'All', inline: true },
+        { name: '📚 Libraries', value: libraryNames.slice(0, 1024), inline: true }
+    ];
+}
+
+/**
+ * 🖼️ Build the wizard message for one step.
+ */
+async function renderStep(interaction, step) {
+    const config = getGuildConfig(interaction.guildId) || {
+        roles: {}, channels: {}, commands: null, libraries: null
+    };
+    const libraries = (await kavita.getLibraries()) || [];
+    const index = STEPS.indexOf(step);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🧙 Server Setup — ${interaction.guild?.name || interaction.guildId}`)
+        .setColor(0x5865F2)
+        .setDescription({
+            roles: '**Step 1/3 — Roles.** Pick who counts as admin, moderator and member. These drive the default permissions.',
+            channels: '**Step 2/3 — Channels.** Pick where notifications, join requests and moderator alerts go.',
+            access: '**Step 3/3 — Access.** Pick which commands and libraries this server can use.',
+            done: '**All set.** These settings apply immediately.'
+        }[step])
+        .addFields(describeConfig(config, libraries));
+
+    const rows = [];
+
+    if (step === 'roles') {
+        for (const [key, label] of Object.entries(ROLE_LABELS)) {
+            const menu = new RoleSelectMenuBuilder()
+                .setCustomId(setupRole.customId({ role: key }))
+                .setPlaceholder(label)
+                .setMinValues(0)
+                .setMaxValues(1);
+            if (config.roles[key]) menu.setDefaultRoles(config.roles[key]);
+            rows.push(new ActionRowBuilder().addComponents(menu));
+        }
+    }
+
+    if (step === 'channels') {
+        for (const [key, label] of Object.entries(CHANNEL_LABELS)) {
+            const menu = new ChannelSelectMenuBuilder()
+                .setCustomId(setupChannel.customId({ channel: key }))
+                .setPlaceholder(label)
+                .setChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                .setMinValues(0)
+                .setMaxValues(1);
+            if (config.channels[key]) menu.setDefaultChannels(config.channels[key]);
+            rows.push(new ActionRowBuilder().addComponents(menu));
+        }
+    }
+
+    if (step === 'access') {
+        const names = commandNames(interaction);
+        rows.push(new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(setupCommands.customId())
+                .setPlaceholder('Enabled commands')
+                .setMinValues(0)
+                .setMaxValues(names.length)
+                .addOptions(names.map(name => ({
+                    label: `/${name}`,
+                    value: name,
+                    default: !config.commands || config.commands.includes(name)
+                })))
+        ));
+
+        const listed = libraries.slice(0, 25);
+        if (listed.length) {
+            rows.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(setupLibraries.customId())
+                    .setPlaceholder('Visible libraries')
+                    .setMinValues(0)
+                    .setMaxValues(listed.length)
+                    .addOptions(listed.map(lib => ({
+                        label: lib.name.slice(0, 100),
+                        value: String(lib.id),
+                        default: !config.libraries || config.libraries.includes(lib.id)
+                    })))
+            ));
+        }
+    }
+
+    const nav = new ActionRowBuilder();
+    if (index > 0 && step !== 'done') {
+        nav.addComponents(new ButtonBuilder()
+            .setCustomId(setupStep.customId({ step: STEPS[index - 1] }))
+            .setLabel('Back')
+            .setStyle(ButtonStyle.Secondary));
+    }
+    if (step === 'done') {
+        nav.addComponents(
+            new ButtonBuilder()
+                .setCustomId(setupStep.customId({ step: 'roles' }))
+                .setLabel('Edit Again')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(setupReset.customId())
+                .setLabel('Reset to Defaults')
+                .setStyle(ButtonStyle.Danger)
+        );
+    } else {
+        nav.addComponents(new ButtonBuilder()
+            .setCustomId(setupStep.customId({ step: STEPS[index + 1] }))
+            .setLabel(STEPS[index + 1] === 'done' ? 'Finish' : 'Next')
+            .setStyle(ButtonStyle.Primary));
+    }
+    rows.push(nav);
+
+    return { content: '', embeds: [embed], components: rows };
+}
@@ -0,0 +1,360 @@
+// /discord/commands/admin/users.mjs — /admin user (Kavita User Lifecycle)
+
+import { EmbedBuilder } from 'discord.js';
+import kavita from '../../../kavita/initKavita.mjs';
+import {
+    updateKavitaUser,
+    deleteKavitaUser,
+    resendInvite
+} from '../../../kavita/postKavita.mjs';
+import { getAccountByKavitaUserId, unlinkKavitaUser } from '../../accountManager.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../../guildConfig.mjs';
+import { printResult } from '../../../noona/logger/logUtils.mjs';
+
+/**
+ * Kavita's built-in roles.
+ */
+const KAVITA_ROLES = [
+    'Admin', 'Login', 'Change Password', 'Bookmark', 'Download', 'Change Restriction', 'Read Only', 'Promote'
+];
+
+/**
+ * Kavita AgeRating values offered as restrictions (-1 = no restriction).
+ */
+const AGE_RATINGS = [
+    { name: 'No restriction', value: -1 },
+    { name: 'Everyone', value: 3 },
+    { name: 'Everyone 10+', value: 5 },
+    { name: 'Teen', value: 8 },
+    { name: 'Mature 15+', value: 9 },
+    { name: 'Mature 17+', value: 10 },
+    { name: 'Adults Only 18+', value: 13 }
+];
+
+const userOption = option =>
+    option.setName('user')
+        .setDescription('Kavita username or email')
+        .setRequired(true)
+        .setAutocomplete(true);
+
+/**
+ * 🧱 Define the `/admin user` subcommand group.
+ * @param {import('discord.js').SlashCommandSubcommandGroupBuilder} group
+ */
+export function buildUserGroup(group) {
+    return group
+        .setName('user')
+        .setDescription('Manage Kavita users')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List Kavita users')
+                .addStringOption(option =>
+                    option.setName('status')
+                        .setDescription('Which users to show')
+                        .addChoices(
+                            { name: 'All', value: 'all' },
+                            { name: 'Active', value: 'active' },
+                            { name: 'Pending invites', value: 'pending' },
+                            { name: 'Disabled', value: 'disabled' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('info')
+                .setDescription('Show a user\'s roles, libraries and restrictions')
+                .addStringOption(userOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Block a user from logging in (removes the Login role)')
+                .addStringOption(userOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('enable')
+                .setDescription('Allow a disabled user to log in again')
+                .addStringOption(userOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Permanently delete a Kavita user')
+                .addStringOption(userOption)
+                .addBooleanOption(option =>
+                    option.setName('confirm')
+                        .setDescription('Set to true to confirm the deletion')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('grant-role')
+                .setDescription('Give a user a Kavita role')
+                .addStringOption(userOption)
+                .addStringOption(option =>
+                    option.setName('role')
+                        .setDescription('Kavita role')
+                        .setRequired(true)
+                        .addChoices(...KAVITA_ROLES.map(role => ({ name: role, value: role })))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('revoke-role')
+                .setDescription('Take a Kavita role away from a user')
+                .addStringOption(userOption)
+                .addStringOption(option =>
+                    option.setName('role')
+                        .setDescription('Kavita role')
+                        .setRequired(true)
+                        .addChoices(...KAVITA_ROLES.map(role => ({ name: role, value: role })))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('grant-library')
+                .setDescription('Give a user access to a library')
+                .addStringOption(userOption)
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('revoke-library')
+                .setDescription('Remove a user\'s access to a library')
+                .addStringOption(userOption)
+                .addStringOption(option =>
+                    option.setName('library')
+                        .setDescription('Library name or ID')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('age-restriction')
+                .setDescription('Limit which age ratings a user can see')
+                .addStringOption(userOption)
+                .addIntegerOption(option =>
+                    option.setName('rating')
+                        .setDescription('Highest age rating allowed')
+                        .setRequired(true)
+                        .addChoices(...AGE_RATINGS)
+                )
+                .addBooleanOption(option =>
+                    option.setName('include-unknowns')
+                        .setDescription('Also show series without an age rating (default: true)')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('resend-invite')
+                .setDescription('Generate a fresh invite link for a pending user')
+                .addStringOption(userOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('revoke-invite')
+                .setDescription('Cancel a pending invite')
+                .addStringOption(userOption)
+        );
+}
+
+/**
+ * 👥 Run an `/admin user <subcommand>` request.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} subcommand
+ */
+export async function handleUserCommand(interaction, subcommand) {
+    if (subcommand === 'list') {
+        return listUsers(interaction);
+    }
+
+    const query = interaction.options.getString('user');
+    const member = await findUser(query);
+    if (!member) {
+        return interaction.editReply(`❌ Kavita user "${query}" not found.`);
+    }
+
+    if (subcommand === 'info') {
+        return interaction.editReply({ embeds: [await buildUserEmbed(member)] });
+    }
+
+    if (subcommand === 'disable' || subcommand === 'enable') {
+        const roles = subcommand === 'disable'
+            ? member.roles.filter(role => role !== 'Login')
+            : [...new Set([...member.roles, 'Login'])];
+        return applyChange(interaction, member, { roles }, `${subcommand === 'disable' ? '🚫 Disabled' : '✅ Enabled'} **${member.username}**.`);
+    }
+
+    if (subcommand === 'delete') {
+        if (!interaction.options.getBoolean('confirm')) {
+            return interaction.editReply('ℹ️ Deletion cancelled — set `confirm` to true to delete the user.');
+        }
+        await deleteKavitaUser(member.username);
+        const unlinked = await unlinkKavitaUser(member);
+        printResult(`[Admin] ${interaction.user.tag} deleted Kavita user ${member.username}`);
+        return interaction.editReply(`🗑️ Deleted Kavita user **${member.username}**.${unlinked ? '' : ' ⚠️ Could not save the removal of their Discord link.'}`);
+    }
+
+    if (subcommand === 'grant-role' || subcommand === 'revoke-role') {
+        const role = interaction.options.getString('role');
+        const roles = subcommand === 'grant-role'
+            ? [...new Set([...member.roles, role])]
+            : member.roles.filter(r => r !== role);
+        return applyChange(interaction, member, { roles },
+            subcommand === 'grant-role'
+                ? `✅ Granted **${role}** to **${member.username}**.`
+                : `✅ Revoked **${role}** from **${member.username}**.`);
+    }
+
+    if (subcommand === 'grant-library' || subcommand === 'revoke-library') {
+        const libraryQuery = interaction.options.getString('library');
+        const libraries = await kavita.getLibraries() || [];
+        const library = libraries.find(lib =>
+            lib.id.toString() === libraryQuery || lib.name.toLowerCase() === libraryQuery.toLowerCase()
+        );
+        if (!library || !isLibraryAllowed(getGuildConfig(interaction.guildId), library.id)) {
+            return interaction.editReply(`❌ Library "${libraryQuery}" not found.`);
+        }
+
+        const current = (member.libraries || []).map(lib => lib.id);
+        const next = subcommand === 'grant-library'
+            ? [...new Set([...current, library.id])]
+            : current.filter(id => id !== library.id);
+        return applyChange(interaction, member, { libraries: next },
+            subcommand === 'grant-library'
+                ? `✅ **${member.username}** can now access **${library.name}**.`
+                : `✅ **${member.username}** can no longer access **${library.name}**.`);
+    }
+
+    if (subcommand === 'age-restriction') {
+        const ageRating = interaction.options.getInteger('rating');
+        const includeUnknowns = interaction.options.getBoolean('include-unknowns') ?? true;
+        const label = AGE_RATINGS.find(r => r.value === ageRating)?.name || ageRating;
+        return applyChange(interaction, member, { ageRestriction: { ageRating, includeUnknowns } },
+            `✅ Age restriction for **${member.username}** set to **${label}**${includeUnknowns ? ' (including unrated series)' : ''}.`);
+    }
+
+    if (subcommand === 'resend-invite' || subcommand === 'revoke-invite') {
+        if (!member.isPending) {
+            return interaction.editReply(`ℹ️ **${member.username}** has no pending invite.`);
+        }
+
+        if (subcommand === 'resend-invite') {
+            const link = await resendInvite(member.id);
+            return interaction.editReply(link
+                ? `📨 New invite link for **${member.email}**: ${link}`
+                : `❌ Failed to generate a new invite for **${member.email}**.`);
+        }
+
+        await deleteKavitaUser(member.username);
+        const unlinked = await unlinkKavitaUser(member);
+        return interaction.editReply(`🗑️ Revoked the pending invite for **${member.email}**.${unlinked ? '' : ' ⚠️ Could not save the removal of their Discord link.'}`);
+    }
+}
+
+/**
+ * 🔎 Suggest Kavita users by username or email.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @param {{ value: string }} focused
+ */
+export async function autocompleteUser(interaction, focused) {
+    const query = focused.value.toLowerCase();
+    const users = await kavita.getUsers();
+
+    const matches = users
+        .filter(u =>
+            u.username?.toLowerCase().includes(query) ||
+            u.email?.toLowerCase().includes(query)
+        )
+        .slice(0, 25)
+        .map(u => ({
+            name: `${u.username}${u.email ? ` <${u.email}>` : ''}${u.isPending ? ' (pending)' : ''}`.slice(0, 100),
+            value: u.id.toString()
+        }));
+
+    await interaction.respond(matches);
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+async function findUser(query) {
+    const users = await kavita.getUsers();
+    const needle = query.toLowerCase();
+    return users.find(u => u.id.toString() === query)
+        || users.find(u => u.username?.toLowerCase() === needle || u.email?.toLowerCase() === needle)
+        || null;
+}
+
+async function applyChange(interaction, member, changes, successMessage) {
+    await updateKavitaUser(member, changes);
+    printResult(`[Admin] ${interaction.user.tag} updated Kavita user ${member.username}: ${Object.keys(changes).join(', ')}`);
+    return interaction.editReply(successMessage);
+}
+
+function getStatus(member) {
+    if (member.isPending) return '📨 Pending invite';
+    if (!member.roles?.includes('Login') && !member.roles?.includes('Admin')) return '🚫 Disabled';
+    return '✅ Active';
+}
+
+async function listUsers(interaction) {
+    const filter = interaction.options.getString('status') || 'all';
+    const statusKey = { active: '✅ Active', pending: '📨 Pending invite', disabled: '🚫 Disabled' }[filter];
+    const users = (await kavita.getUsers()).filter(u => !statusKey || getStatus(u) === statusKey);
+
+    const lines = users.slice(0, 50).map(u =>
+        `${getStatus(u).split(' ')[0]} **${u.username}** — ${u.email || 'no email'}`
+    );
+
+    const embed = new EmbedBuilder()
+        .setTitle(`👥 Kavita Users (${users.length})`)
+        .setColor(0x5865F2)
+        .setDescription(lines.join('\n').slice(0, 4096) || 'No users found.')
+        .setTimestamp();
+
+    if (users.length > 50) {
+        embed.setFooter({ text: `Showing 50 of ${users.length}. Use /admin user info for details.` });
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+async function buildUserEmbed(member) {
+    const link = await getAccountByKavitaUserId(member.id);
+    const rating = member.ageRestriction?.ageRating ?? -1;
+    const ratingLabel = AGE_RATINGS.find(r => r.value === rating)?.name || `Rating ${rating}`;
+
+    return new EmbedBuilder()
+        .setTitle(`👤 ${member.username}`)
+        .setColor(0x5865F2)
+        .addFields(
+            { name: 'Status', value: getStatus(member), inline: true },
+            { name: 'Email', value: member.email || 'None', inline: true },
+            { name: 'Discord', value: link ? `<@${link.discordId}>` : 'Not linked', inline: true },
+            { name: 'Roles', value: member.roles?.join(', ') || 'None' },
+            { name: 'Libraries', value: member.libraries?.map(lib => lib.name).join(', ') || 'None' },
+            {
+                name: 'Age Restriction',
+                value: `${ratingLabel}${rating !== -1 && member.ageRestriction?.includeUnknowns ? ' (+ unrated)' : ''}`,
+                inline: true
+            },
+            {
+                name: 'Last Active',
+                value: member.lastActiveUtc || member.lastActive
+                    ? `<t:${Math.floor(new Date(member.lastActiveUtc || member.lastActive).getTime() / 1000)}:R>`
+                    : 'Never',
+                inline: true
+            }
+        )
+        .setTimestamp();
+}
@@ -1,13 +1,41 @@
-// /discord/commands/join.mjs — Account Creation via Kavita API
+// /discord/commands/join.mjs — Kavita Account Requests (Moderator Approval Queue)
 
-import { SlashCommandBuilder } from 'discord.js';
-import { createUser } from '../../kavita/postKavita.mjs';
-import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} from 'discord.js';
+import kavita from '../../kavita/initKavita.mjs';
+import { createUser, resendInvite, getInviteSettings } from '../../kavita/postKavita.mjs';
+import { KavitaError, describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import {
+    getAccount,
+    checkJoinEligibility,
+    createJoinRequest,
+    cancelJoinRequest,
+    claimJoinRequest,
+    releaseJoinRequest,
+    activateAccount,
+    denyAccount
+} from '../accountManager.mjs';
+import { defineComponent } from '../commandManager.mjs';
+import { getGuildConfig } from '../guildConfig.mjs';
+import { printDebug, printError, printResult } from '../../noona/logger/logUtils.mjs';
+
+// Review buttons live on long-lived messages, so IDs from before the component router still work.
+const decisions = Object.fromEntries(['approve', 'deny'].map(decision => [decision, defineComponent({
+    id: `join.${decision}`,
+    state: ['discordId'],
+    legacy: new RegExp(`^join_${decision}_(?<discordId>\\d+)$`),
+    execute: (interaction, { discordId }) => handleJoinDecision(interaction, decision, discordId)
+})]));
 
 const command = {
     data: new SlashCommandBuilder()
         .setName('join')
-        .setDescription('Creates a Kavita account and provides an invite link.')
+        .setDescription('Requests a Kavita account; you get an invite link once a moderator approves.')
         .addStringOption(option =>
             option.setName('email')
                 .setDescription('Your email address')
@@ -24,25 +52,180 @@ const command = {
             return interaction.editReply('❌ Invalid email address. Please try again with a valid one.');
         }
 
+        // Every account needs a moderator's approval, so there must be somewhere to review it
+        const approvalChannelId = getGuildConfig(interaction.guildId)?.channels.joinApproval;
+        if (!approvalChannelId) {
+            return interaction.editReply('❌ Join requests are not configured on this server. Ask an admin to set a join approval channel with `/admin setup`.');
+        }
+
+        let record = null;
+
         try {
-            const inviteLink = await createUser(email);
-            if (!inviteLink || inviteLink.includes('<html')) {
-                return interaction.editReply('❌ Failed to create Kavita account. Invalid response from the API.');
+            const refusal = await checkJoinEligibility(interaction.user.id, email);
+            if (refusal) {
+                return interaction.editReply(`❌ ${refusal}`);
             }
 
-            await interaction.editReply(`✅ Account created! Finish setup here: ${inviteLink}`);
+            record = await createJoinRequest(interaction.user, email);
+            const channel = await interaction.client.channels.fetch(approvalChannelId);
+            await channel.send({
+                embeds: [buildRequestEmbed(record)],
+                components: [buildDecisionRow(record.discordId)]
+            });
+
+            await interaction.editReply('📨 Your request was sent to the moderators. You will get a DM with your invite link once it is approved.');
         } catch (error) {
-            printError('❌ Error while creating user:', error);
-            return interaction.editReply('❌ An error occurred while creating your account. Please try again later.');
+            printError('❌ Error while handling join request:', error);
+            if (record) await cancelJoinRequest(record.discordId);
+            return interaction.editReply(describeKavitaError(error));
         }
-    }
+    },
+
+    components: Object.values(decisions)
 };
 
 export default command;
 
+/**
+ * 🔘 Handle the Approve / Deny buttons on a join request.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {'approve'|'deny'} decision
+ * @param {string} discordId - Requesting user
+ */
+async function handleJoinDecision(interaction, decision, discordId) {
+    await interaction.deferUpdate();
+
+    const record = await claimJoinRequest(discordId);
+    if (!record) {
+        const current = await getAccount(discordId);
+        if (current?.status === 'pending') {
+            return interaction.followUp({ content: 'ℹ️ Another moderator is deciding on this request right now.', ephemeral: true });
+        }
+        return interaction.editReply({
+            content: `ℹ️ This request was already handled${current ? ` (${current.status})` : ''}.`,
+            components: []
+        });
+    }
+
+    let decided;
+    try {
+        decided = await decideJoinRequest(interaction, decision, record);
+    } finally {
+        releaseJoinRequest(discordId);
+    }
+    if (!decided) return;
+
+    const updated = await getAccount(discordId);
+    await interaction.editReply({ embeds: [buildRequestEmbed(updated)], components: [] });
+}
+
+/**
+ * ⚖️ Carry out a claimed decision and tell the requester.
+ * @returns {Promise<boolean>} Whether the decision went through (a failed approval keeps the request pending)
+ */
+async function decideJoinRequest(interaction, decision, record) {
+    const { discordId } = record;
+    const requester = await interaction.client.users.fetch(discordId).catch(() => null);
+
+    if (decision === 'approve') {
+        let inviteLink, saved;
+        try {
+            ({ inviteLink, saved } = await approveRequest(record, interaction.user.tag));
+        } catch (err) {
+            printError('❌ Error while approving join request:', err);
+            await interaction.followUp({ content: describeKavitaError(err), ephemeral: true });
+            return false;
+        }
+
+        if (!saved) {
+            await interaction.followUp({
+                content: `⚠️ The approval for <@${discordId}> could not be saved — their Discord link may be lost on restart.`,
+                ephemeral: true
+            });
+        }
+
+        const delivered = await requester?.send(`✅ Your Kavita account request was approved! Finish setup here: ${inviteLink}`)
+            .then(() => true)
+            .catch(() => false);
+
+        if (!delivered) {
+            await interaction.followUp({
+                content: `⚠️ Could not DM <@${discordId}>. Share their invite link privately: ${inviteLink}`,
+                ephemeral: true
+            });
+        }
+    } else {
+        await denyAccount(discordId, interaction.user.tag);
+        await requester?.send('❌ Your Kavita account request was denied by a moderator.').catch(() => null);
+        printResult(`[Join] Request from ${record.discordTag} denied by ${interaction.user.tag}`);
+    }
+    return true;
+}
+
 // ———————————————————————————————————————————————————————————————————
 // Helpers
 
+/**
+ * ✅ Create the Kavita account for a pending request and link it. An invite left
+ * behind by an earlier approval that failed partway is re-issued instead, since
+ * Kavita refuses to invite the same email twice.
+ * @returns {Promise<{ inviteLink: string, saved: boolean }>} Invite link, and whether the approval was stored
+ */
+async function approveRequest(record, decidedBy) {
+    const email = record.email.toLowerCase();
+    const existing = (await kavita.getUsers()).find(user => user.email?.toLowerCase() === email);
+    if (existing && !existing.isPending) {
+        throw new KavitaError(`A Kavita account for ${record.email} already exists — deny this request; the user can run /link instead.`);
+    }
+
+    const inviteLink = existing ? await resendInvite(existing.id) : await createUser(record.email);
+    if (!inviteLink || inviteLink.includes('<html')) {
+        throw new Error('Invalid response from the Kavita API.');
+    }
+
+    const kavitaUserId = existing?.id ?? await kavita.getUserIdByEmail(record.email);
+    const saved = await activateAccount(record.discordId, kavitaUserId, decidedBy);
+    printResult(`[Join] Kavita account for ${record.discordTag} approved by ${decidedBy}${existing ? ' (invite re-issued)' : ''}`);
+    return { inviteLink, saved };
+}
+
+function buildRequestEmbed(record) {
+    const { roles, libraries, ageRestriction } = getInviteSettings();
+    const statusText = {
+        pending: '⏳ Pending review',
+        active: `✅ Approved by ${record.decidedBy || 'auto-approval'}`,
+        denied: `❌ Denied by ${record.decidedBy}`
+    };
+
+    return new EmbedBuilder()
+        .setTitle('📝 Kavita Join Request')
+        .setColor(record.status === 'pending' ? 0xFAA61A : record.status === 'active' ? 0x43B581 : 0xF04747)
+        .addFields(
+            { name: 'Discord User', value: `<@${record.discordId}> (${record.discordTag})`, inline: true },
+            { name: 'Email', value: record.email, inline: true },
+            { name: 'Requested', value: `<t:${Math.floor(new Date(record.requestedAt).getTime() / 1000)}:R>`, inline: true },
+            { name: 'Roles', value: roles.join(', ') || 'None', inline: true },
+            { name: 'Libraries', value: libraries.join(', ') || 'None', inline: true },
+            { name: 'Age Rating', value: `${ageRestriction.ageRating}${ageRestriction.includeUnknowns ? ' (+ unknown)' : ''}`, inline: true },
+            { name: 'Status', value: statusText[record.status] }
+        )
+        .setTimestamp();
+}
+
+function buildDecisionRow(discordId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(decisions.approve.customId({ discordId }))
+            .setLabel('Approve')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(decisions.deny.customId({ discordId }))
+            .setLabel('Deny')
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
 function validateEmail(email) {
     const re = /^(([^<>()[\]\\.,;:\s@"]+(\.[^<>()[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
     return re.test(String(email).toLowerCase());
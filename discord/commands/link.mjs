@@ -0,0 +1,69 @@
+// /discord/commands/link.mjs — Link an Existing Kavita Account
+
+import { SlashCommandBuilder } from 'discord.js';
+import { createUserClient } from '../../kavita/initKavita.mjs';
+import { KavitaAuthError, describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { linkAccount, getAccountByKavitaUserId } from '../accountManager.mjs';
+import { printDebug, printError, printResult } from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Slash command linking a Discord user to their Kavita account.
+ * The user's own API key proves they own the account and lets /me read
+ * their personal data (continue reading, want to read).
+ */
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('link')
+        .setDescription('Link your Kavita account using your Kavita API key')
+        .addStringOption(option =>
+            option.setName('api-key')
+                .setDescription('Kavita → User Settings → 3rd Party Clients → API Key')
+                .setRequired(true)
+        ),
+
+    /**
+     * Executes the link command.
+     * @param {import('discord.js').ChatInputCommandInteraction} interaction
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const apiKey = interaction.options.getString('api-key').trim();
+        printDebug(`[Link] ${interaction.user.tag} is linking a Kavita account`);
+
+        try {
+            // Kavita answers with the key owner's own record, which proves the user holds it
+            let user;
+            try {
+                user = await createUserClient(apiKey).getMyself();
+            } catch (err) {
+                if (!(err instanceof KavitaAuthError)) throw err;
+                return interaction.editReply('❌ Kavita rejected that API key. Copy it again from your Kavita user settings.');
+            }
+            if (!user?.id) {
+                return interaction.editReply('❌ Could not find your Kavita user. Please contact an admin.');
+            }
+
+            const owner = await getAccountByKavitaUserId(user.id);
+            if (owner && owner.discordId !== interaction.user.id) {
+                return interaction.editReply('❌ That Kavita account is already linked to another Discord user.');
+            }
+
+            const saved = await linkAccount(interaction.user, {
+                kavitaUserId: user.id,
+                username: user.username,
+                email: user.email,
+                apiKey
+            });
+
+            printResult(`[Link] ${interaction.user.tag} linked to Kavita user ${user.username}`);
+            await interaction.editReply(saved
+                ? `✅ Linked to Kavita account **${user.username}**. Try \`/me\`!`
+                : `⚠️ Linked to **${user.username}**, but the link could not be saved — it may be lost on restart.`);
+        } catch (err) {
+            printError('❌ Error while linking account:', err);
+            await interaction.editReply(describeKavitaError(err));
+        }
+    }
+};
+
+export default command;
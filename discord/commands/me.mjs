@@ -0,0 +1,139 @@
+// /discord/commands/me.mjs — Your Kavita Account at a Glance
+
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import kavita, { createUserClient } from '../../kavita/initKavita.mjs';
+import { KavitaAuthError, describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { getAccount, getAccountApiKey } from '../accountManager.mjs';
+import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Kavita clients acting as linked users, keyed by Discord user ID.
+ * @type {Map<string, { apiKey: string, client: object }>}
+ */
+const userClients = new Map();
+
+/**
+ * Slash command showing the caller's linked Kavita account.
+ */
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('me')
+        .setDescription('Show your Kavita account, reading progress and lists'),
+
+    /**
+     * Executes the me command.
+     * @param {import('discord.js').ChatInputCommandInteraction} interaction
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        printDebug(`[Me] ${interaction.user.tag} requested their account`);
+
+        const record = await getAccount(interaction.user.id);
+        if (record?.status !== 'active') {
+            return interaction.editReply('❌ You have no linked Kavita account. Use `/join` to request one or `/link` to connect an existing one.');
+        }
+
+        try {
+            const apiKey = record.apiKey ? await getAccountApiKey(interaction.user.id) : null;
+            const client = apiKey ? getUserClient(interaction.user.id, apiKey) : null;
+
+            // A linked key reads just this user; otherwise look them up in the user list
+            let user = null;
+            let keyRejected = false;
+            if (client) {
+                try {
+                    user = await client.getMyself();
+                } catch (err) {
+                    if (!(err instanceof KavitaAuthError)) throw err;
+                    keyRejected = true;
+                }
+            }
+            if (!user) {
+                const userId = record.kavitaUserId ?? await kavita.getUserIdByEmail(record.email);
+                user = userId ? await kavita.getUserById(userId) : null;
+            }
+            if (!user) {
+                return interaction.editReply('❌ Your linked Kavita account could not be found. It may still be pending — finish your invite first.');
+            }
+
+            // Reading stats are optional; show the rest of the profile without them
+            const stats = await kavita.getUserReadStats(user.id).catch(() => null);
+
+            const embed = new EmbedBuilder()
+                .setTitle(`👤 ${user.username}`)
+                .setColor(0x0099FF)
+                .addFields(
+                    { name: 'Email', value: user.email || 'Unknown', inline: true },
+                    { name: 'Roles', value: user.roles?.join(', ') || 'None', inline: true },
+                    { name: 'Age Restriction', value: formatAgeRestriction(user.ageRestriction), inline: true },
+                    { name: 'Libraries', value: user.libraries?.map(lib => lib.name).join(', ') || 'None' }
+                )
+                .setTimestamp();
+
+            if (stats) {
+                embed.addFields({
+                    name: '📈 Reading Progress',
+                    value: [
+                        `📖 ${stats.chaptersRead ?? 0} chapters read`,
+                        `📄 ${stats.totalPagesRead ?? 0} pages`,
+                        `⏱️ ${Math.round(stats.timeSpentReading ?? 0)} hrs reading`,
+                        stats.lastActive ? `🕒 Last active <t:${Math.floor(new Date(stats.lastActive).getTime() / 1000)}:R>` : null
+                    ].filter(Boolean).join('\n')
+                });
+            }
+
+            if (keyRejected) {
+                embed.setFooter({ text: 'Kavita rejected your linked API key. Run /link again with a fresh key.' });
+            } else if (client) {
+                try {
+                    const [onDeck, wantToRead] = await Promise.all([client.getOnDeck(), client.getWantToRead()]);
+                    embed.addFields(
+                        { name: '▶️ Continue Reading', value: formatSeriesList(onDeck, true) },
+                        { name: '🔖 Want to Read', value: formatSeriesList(wantToRead, false) }
+                    );
+                } catch (err) {
+                    if (!(err instanceof KavitaAuthError)) throw err;
+                    embed.setFooter({ text: 'Kavita rejected your linked API key. Run /link again with a fresh key.' });
+                }
+            } else if (record.apiKey) {
+                embed.setFooter({ text: 'Your linked API key can no longer be read. Run /link again.' });
+            } else {
+                embed.setFooter({ text: 'Link your Kavita API key with /link to see Continue Reading and Want to Read.' });
+            }
+
+            await interaction.editReply({ embeds: [embed] });
+        } catch (err) {
+            printError('❌ Error while loading account:', err);
+            await interaction.editReply(describeKavitaError(err));
+        }
+    }
+};
+
+export default command;
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+function getUserClient(discordId, apiKey) {
+    const cached = userClients.get(discordId);
+    if (cached?.apiKey === apiKey) return cached.client;
+
+    const client = createUserClient(apiKey);
+    userClients.set(discordId, { apiKey, client });
+    return client;
+}
+
+function formatAgeRestriction(restriction) {
+    if (!restriction || !restriction.ageRating) return 'None';
+    return `${restriction.ageRating}${restriction.includeUnknowns ? ' (+ unknown)' : ''}`;
+}
+
+function formatSeriesList(series, withProgress) {
+    if (!series.length) return 'Nothing here yet.';
+    return series.map(s => {
+        const progress = withProgress && s.pages
+            ? ` — ${Math.round((s.pagesRead / s.pages) * 100)}%`
+            : '';
+        return `• ${s.name}${progress}`;
+    }).join('\n').slice(0, 1024);
+}
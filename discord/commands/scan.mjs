@@ -5,12 +5,67 @@ import {
     ActionRowBuilder,
     ButtonBuilder,
     ButtonStyle,
-    EmbedBuilder
+    EmbedBuilder,
+    AttachmentBuilder,
+    StringSelectMenuBuilder
 } from 'discord.js';
 import kavita from '../../kavita/initKavita.mjs';
-import { scanLibrary } from '../../kavita/postKavita.mjs';
+import { getSeriesCover } from '../../kavita/coverCache.mjs';
+import { startTrackedScan, createReplyUpdater, getScanStatus } from '../tasks/scanTracker.mjs';
+import { describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { MangaFormat, seriesSorts, buildLibraryFilter } from '../../kavita/kavitaFilters.mjs';
+import { defineComponent } from '../commandManager.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../guildConfig.mjs';
 import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
 
+/**
+ * 🧭 Browse state carried by the series browser's custom IDs. Empty format/genre means "no filter".
+ */
+const VIEW_STATE = ['libraryId', 'page', 'sort', 'format', 'genreId'];
+
+const libraryList = defineComponent({
+    id: 'scan.list',
+    permission: 'scan',
+    execute: interaction => command.execute(interaction)
+});
+
+const libraryScan = defineComponent({
+    id: 'scan.library',
+    state: ['libraryId'],
+    execute: (interaction, { libraryId }) => handleLibrarySelection(interaction, libraryId)
+});
+
+const seriesPage = defineComponent({
+    id: 'scan.page',
+    state: VIEW_STATE,
+    permission: 'scan.browse',
+    execute: (interaction, view) => handleSeriesPage(interaction, normalizeView(view))
+});
+
+/**
+ * Select menus changing one part of the view, each going back to the first page.
+ */
+const viewMenus = Object.fromEntries(['sort', 'format', 'genre'].map(action => [action, defineComponent({
+    id: `scan.${action}`,
+    state: VIEW_STATE,
+    permission: 'scan.browse',
+    execute: (interaction, view) => {
+        const value = interaction.values[0];
+        const key = { sort: 'sort', format: 'format', genre: 'genreId' }[action];
+        return handleSeriesPage(interaction, { ...normalizeView(view), page: 0, [key]: normalizeView({ [key]: value })[key] });
+    }
+})]));
+
+const seriesOpen = defineComponent({
+    id: 'scan.open',
+    state: VIEW_STATE,
+    permission: 'scan.browse',
+    execute: (interaction, view) => handleSeriesSelection(interaction, interaction.values[0], {
+        customId: seriesPage.customId(view),
+        label: 'Back to Library'
+    })
+});
+
 const command = {
     data: new SlashCommandBuilder()
         .setName('scan')
@@ -20,7 +75,8 @@ const command = {
         await interaction.deferReply();
         printDebug(`[Scan] ${interaction.user.tag} requested library list`);
 
-        const libraries = await kavita.getLibraries();
+        const config = getGuildConfig(interaction.guildId);
+        const libraries = (await kavita.getLibraries())?.filter(lib => isLibraryAllowed(config, lib.id));
         if (!libraries?.length) {
             return interaction.editReply('❌ No libraries found.');
         }
@@ -30,7 +86,9 @@ const command = {
             content: '📚 Select a library to scan:',
             components: rows
         });
-    }
+    },
+
+    components: [libraryList, libraryScan, seriesPage, ...Object.values(viewMenus), seriesOpen]
 };
 
 export default command;
@@ -41,7 +99,7 @@ export default command;
 function buildLibraryButtons(libraries) {
     const buttons = libraries.map(lib =>
         new ButtonBuilder()
-            .setCustomId(`scan_${lib.id}`)
+            .setCustomId(libraryScan.customId({ libraryId: lib.id }))
             .setLabel(lib.name)
             .setStyle(ButtonStyle.Primary)
     );
@@ -62,58 +120,137 @@ export async function handleLibrarySelection(interaction, libraryId) {
     const libraries = await kavita.getLibraries();
     const library = libraries.find(lib => lib.id.toString() === libraryId);
 
-    if (!library) {
+    if (!library || !isLibraryAllowed(getGuildConfig(interaction.guildId), library.id)) {
         return interaction.editReply({ content: '❌ Library not found.', components: [] });
     }
 
     try {
-        await scanLibrary(libraryId);
+        await startTrackedScan({
+            client: interaction.client,
+            library,
+            requestedBy: interaction.user.tag,
+            guildId: interaction.guildId,
+            update: createReplyUpdater(interaction)
+        });
         printDebug(`[Scan] Scan initiated for ${library.name} by ${interaction.user.tag}`);
     } catch (err) {
         printError(`❌ Failed to scan library: ${err.message}`);
+        return interaction.editReply({ content: describeKavitaError(err, 'That library'), components: [] });
     }
 
-    await handleSeriesPage(interaction, libraryId, 0, true);
+    await handleSeriesPage(interaction, { libraryId }, true);
+}
+
+const PAGE_SIZE = 10;
+
+const formatLabels = {
+    [MangaFormat.Archive]: 'Archive',
+    [MangaFormat.Image]: 'Image',
+    [MangaFormat.Epub]: 'Epub',
+    [MangaFormat.Pdf]: 'PDF',
+    [MangaFormat.Unknown]: 'Unknown'
+};
+
+/**
+ * 🧭 Fill in and parse a browse state decoded from a custom ID.
+ * @param {Record<string, string|number|null>} view
+ */
+function normalizeView({ libraryId, page, sort, format, genreId }) {
+    const optional = value => (value === null || value === undefined || value === 'x' ? null : parseInt(value, 10));
+    return {
+        libraryId,
+        page: parseInt(page, 10) || 0,
+        sort: seriesSorts[sort] ? sort : 'recent',
+        format: optional(format),
+        genreId: optional(genreId)
+    };
 }
 
 /**
- * 📖 Show paginated list of series in library
+ * 📖 Show one page of a library's series, paged, sorted and filtered by Kavita.
+ * @param {{ libraryId: string, page?: number, sort?: string, format?: number|null, genreId?: number|null }} view
  */
-export async function handleSeriesPage(interaction, libraryId, page = 0, alreadyDeferred = false) {
+export async function handleSeriesPage(interaction, view, alreadyDeferred = false) {
     if (!alreadyDeferred) await interaction.deferUpdate();
 
-    const libraries = await kavita.getLibraries();
-    const library = libraries.find(lib => lib.id.toString() === libraryId);
-    const series = await kavita.getSeriesByLibrary(libraryId);
+    const state = { page: 0, sort: 'recent', format: null, genreId: null, ...view };
+    const [libraries, genres, { items, pagination }] = await Promise.all([
+        kavita.getLibraries(),
+        kavita.getGenres(state.libraryId),
+        kavita.getSeriesPage(buildLibraryFilter(state), state.page + 1, PAGE_SIZE)
+    ]);
+    const library = libraries.find(lib => lib.id.toString() === state.libraryId.toString());
 
-    if (!library || !series?.length) {
-        return interaction.editReply({
-            content: `📚 Library not found or has no series.`,
-            components: []
-        });
+    if (!library || !isLibraryAllowed(getGuildConfig(interaction.guildId), library.id)) {
+        return interaction.editReply({ content: '📚 Library not found.', embeds: [], components: [] });
     }
 
-    const pageSize = 10;
-    const totalPages = Math.ceil(series.length / pageSize);
-    const slice = series.slice(page * pageSize, (page + 1) * pageSize);
+    const page = state.page;
+    const totalPages = Math.max(1, pagination.totalPages ?? (items.length < PAGE_SIZE ? page + 1 : page + 2));
+    const genre = genres.find(g => g.id === state.genreId);
+    const filters = [
+        seriesSorts[state.sort].label,
+        state.format !== null ? formatLabels[state.format] : null,
+        genre?.title
+    ].filter(Boolean).join(' · ');
 
     const embed = new EmbedBuilder()
         .setTitle(`📚 ${library.name} — Series (Page ${page + 1}/${totalPages})`)
         .setColor(0x0099FF)
-        .setDescription(`Showing ${page * pageSize + 1}-${page * pageSize + slice.length} of ${series.length}`);
+        .setDescription(items.length
+            ? `Showing ${page * PAGE_SIZE + 1}-${page * PAGE_SIZE + items.length}${pagination.totalItems ? ` of ${pagination.totalItems}` : ''}\n${filters}`
+            : `No series match these filters.\n${filters}`);
 
-    slice.forEach((s, idx) => {
+    items.forEach((s, idx) => {
         embed.addFields({
-            name: `${page * pageSize + idx + 1}. ${s.name}`,
+            name: `${page * PAGE_SIZE + idx + 1}. ${s.name}`.slice(0, 256),
             value: formatSeriesDetails(s)
         });
     });
 
+    const menu = (component, placeholder, options) => new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(component.customId(state))
+            .setPlaceholder(placeholder)
+            .addOptions(options)
+    );
+
+    const rows = [
+        menu(viewMenus.sort, 'Sort by', Object.entries(seriesSorts).map(([value, sort]) => ({
+            label: sort.label, value, default: value === state.sort
+        }))),
+        menu(viewMenus.format, 'Filter by format', [
+            { label: 'Any format', value: 'x', default: state.format === null },
+            ...Object.entries(formatLabels).map(([value, label]) => ({
+                label, value, default: parseInt(value, 10) === state.format
+            }))
+        ])
+    ];
+
+    if (genres.length) {
+        const options = [...genres]
+            .sort((a, b) => a.title.localeCompare(b.title))
+            .slice(0, 24);
+        // Keep the active genre selectable even when it is past the first 24
+        if (genre && !options.includes(genre)) options[23] = genre;
+        rows.push(menu(viewMenus.genre, 'Filter by genre', [
+            { label: 'Any genre', value: 'x', default: state.genreId === null },
+            ...options.map(g => ({ label: g.title.slice(0, 100), value: String(g.id), default: g.id === state.genreId }))
+        ]));
+    }
+
+    if (items.length) {
+        rows.push(menu(seriesOpen, 'Open a series', items.map((s, idx) => ({
+            label: `${page * PAGE_SIZE + idx + 1}. ${s.name}`.slice(0, 100),
+            value: String(s.id)
+        }))));
+    }
+
     const navRow = new ActionRowBuilder();
     if (page > 0) {
         navRow.addComponents(
             new ButtonBuilder()
-                .setCustomId(`series_page_${libraryId}_${page - 1}`)
+                .setCustomId(seriesPage.customId({ ...state, page: page - 1 }))
                 .setLabel('Previous')
                 .setStyle(ButtonStyle.Primary)
         );
@@ -121,7 +258,7 @@ export async function handleSeriesPage(interaction, libraryId, page = 0, already
 
     navRow.addComponents(
         new ButtonBuilder()
-            .setCustomId('scan')
+            .setCustomId(libraryList.customId())
             .setLabel('Back to Libraries')
             .setStyle(ButtonStyle.Danger)
     );
@@ -129,13 +266,19 @@ export async function handleSeriesPage(interaction, libraryId, page = 0, already
     if (page < totalPages - 1) {
         navRow.addComponents(
             new ButtonBuilder()
-                .setCustomId(`series_page_${libraryId}_${page + 1}`)
+                .setCustomId(seriesPage.customId({ ...state, page: page + 1 }))
                 .setLabel('Next')
                 .setStyle(ButtonStyle.Primary)
         );
     }
+    rows.push(navRow);
 
-    await interaction.editReply({ embeds: [embed], components: [navRow] });
+    await interaction.editReply({
+        content: getScanStatus(state.libraryId) ?? '',
+        embeds: [embed],
+        components: rows,
+        attachments: []
+    });
 }
 
 /**
@@ -144,7 +287,7 @@ export async function handleSeriesPage(interaction, libraryId, page = 0, already
 function formatSeriesDetails(series) {
     const createdDate = series.created ? new Date(series.created).toLocaleDateString() : 'Unknown';
     const readingTime = series.avgHoursToRead?.toFixed(1) || '?';
-    const format = formatType(series.format);
+    const format = formatLabels[series.format];
 
     return [
         series.pages ? `📄 ${series.pages} pages` : null,
@@ -154,45 +297,45 @@ function formatSeriesDetails(series) {
     ].filter(Boolean).join('\n');
 }
 
-/**
- * 🔣 Format type from Kavita ID
- */
-function formatType(format) {
-    const formats = {
-        0: 'Unknown', 1: 'Image', 2: 'Archive', 3: 'Epub', 4: 'PDF', 5: 'Text'
-    };
-    return formats[format] || 'Unknown';
-}
-
 /**
  * 📘 View full series details
+ * @param {object} [back] - Optional back button target (defaults to the series' library)
+ * @param {string} back.customId
+ * @param {string} back.label
  */
-export async function handleSeriesSelection(interaction, seriesId) {
+export async function handleSeriesSelection(interaction, seriesId, back = null) {
     await interaction.deferUpdate();
 
     try {
         const series = await kavita.fetchData(`/api/Series/${seriesId}`);
-        if (!series) throw new Error('Series not found.');
+        if (!series || !isLibraryAllowed(getGuildConfig(interaction.guildId), series.libraryId)) {
+            return interaction.editReply({ content: '❌ That series could not be found.', embeds: [], components: [], attachments: [] });
+        }
 
         const embed = new EmbedBuilder()
             .setTitle(series.name)
             .setColor(0x0099FF)
             .setDescription(series.summary || 'No summary available');
 
+        const files = [];
         if (series.coverImage) {
-            embed.setImage(`${process.env.KAVITA_URL}/api/image/${series.coverImage}?apiKey=${process.env.KAVITA_API_KEY}`);
+            const cover = await getSeriesCover(series);
+            if (cover) {
+                files.push(new AttachmentBuilder(cover.data, { name: cover.fileName }));
+                embed.setImage(`attachment://${cover.fileName}`);
+            }
         }
 
         const actionRow = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
-                .setCustomId(`scan_${series.libraryId}`)
-                .setLabel('Back to Library')
+                .setCustomId(back?.customId || seriesPage.customId({ libraryId: series.libraryId }))
+                .setLabel(back?.label || 'Back to Library')
                 .setStyle(ButtonStyle.Secondary)
         );
 
-        await interaction.editReply({ embeds: [embed], components: [actionRow] });
+        await interaction.editReply({ embeds: [embed], components: [actionRow], files, attachments: [] });
     } catch (err) {
         printError('❌ Error fetching series details:', err);
-        await interaction.editReply({ content: '❌ Error fetching series details.', components: [] });
+        await interaction.editReply({ content: describeKavitaError(err, 'That series'), embeds: [], components: [], attachments: [] });
     }
 }
@@ -1,9 +1,141 @@
-// /discord/commands/search.mjs — Kavita Series Search
+// /discord/commands/search.mjs — Kavita Search (Paged, Interactive, All Categories)
 
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder
+} from 'discord.js';
 import kavita from '../../kavita/initKavita.mjs';
+import { handleSeriesSelection } from './scan.mjs';
+import { describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { FilterField, FilterComparison, FilterCombination } from '../../kavita/kavitaFilters.mjs';
+import { defineComponent } from '../commandManager.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../guildConfig.mjs';
 import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
 
+const PAGE_SIZE = 10;
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+// Credits searched when listing the series behind a person.
+const PERSON_FIELDS = [
+    FilterField.Writers, FilterField.Penciller, FilterField.Inker, FilterField.Colorist,
+    FilterField.Letterer, FilterField.CoverArtist, FilterField.Editor, FilterField.Publisher,
+    FilterField.Characters, FilterField.Translators
+];
+
+/**
+ * Result categories returned by /api/Search/search and how to show them.
+ */
+const categories = {
+    series: {
+        label: 'Series',
+        emoji: '📚',
+        id: item => item.seriesId,
+        title: item => item.name || 'Unknown Title',
+        detail: item => `Library: ${item.libraryName || 'Unknown Library'}`
+    },
+    collections: {
+        label: 'Collections',
+        emoji: '🗂️',
+        id: item => item.id,
+        title: item => item.title || 'Untitled Collection',
+        detail: item => item.summary ? item.summary.slice(0, 100) : 'Collection'
+    },
+    readingLists: {
+        label: 'Reading Lists',
+        emoji: '📑',
+        id: item => item.id,
+        title: item => item.title || 'Untitled Reading List',
+        detail: item => item.summary ? item.summary.slice(0, 100) : 'Reading list'
+    },
+    persons: {
+        label: 'People',
+        emoji: '🧑‍🎨',
+        id: item => item.id,
+        title: item => item.name || 'Unknown Person',
+        detail: () => 'Person'
+    },
+    genres: {
+        label: 'Genres',
+        emoji: '🏷️',
+        id: item => item.id,
+        title: item => item.title || 'Unknown Genre',
+        detail: () => 'Genre'
+    },
+    tags: {
+        label: 'Tags',
+        emoji: '🔖',
+        id: item => item.id,
+        title: item => item.title || 'Unknown Tag',
+        detail: () => 'Tag'
+    }
+};
+
+/**
+ * Active searches keyed by the originating interaction ID.
+ * @type {Map<string, { term: string, results: object, expires: number }>}
+ */
+const sessions = new Map();
+
+/**
+ * 🔘 Declare a `/search` component. Every one carries the search session and
+ * answers with an "expired" notice once the session is gone.
+ */
+function searchComponent(action, state, execute) {
+    return defineComponent({
+        id: `search.${action}`,
+        state: ['sessionId', ...state],
+        permission: 'search.browse',
+        execute: (interaction, values) => {
+            const session = sessions.get(values.sessionId);
+            if (!session || session.expires < Date.now()) {
+                sessions.delete(values.sessionId);
+                return interaction.update({
+                    content: '⌛ This search has expired. Run `/search` again.',
+                    embeds: [],
+                    components: []
+                });
+            }
+
+            session.expires = Date.now() + SESSION_TTL_MS;
+            return execute(interaction, values);
+        }
+    });
+}
+
+// Show a page of results
+const resultsPage = searchComponent('page', ['category', 'page'], (interaction, { sessionId, category, page }) =>
+    interaction.update(buildResultsView(sessionId, category, parseInt(page, 10) || 0)));
+
+// Select menu switching category
+const categorySelect = searchComponent('category', [], (interaction, { sessionId }) =>
+    interaction.update(buildResultsView(sessionId, interaction.values[0], 0)));
+
+// Select menu opening a result
+const resultOpen = searchComponent('open', ['category', 'page'], (interaction, { sessionId, category, page }) => {
+    if (category === 'series') {
+        return handleSeriesSelection(interaction, interaction.values[0], {
+            customId: resultsPage.customId({ sessionId, category, page }),
+            label: 'Back to Results'
+        });
+    }
+    return showEntityDetail(interaction, sessionId, category, page, interaction.values[0]);
+});
+
+// Reopen a non-series result
+const entityDetail = searchComponent('detail', ['category', 'page', 'itemId'], (interaction, { sessionId, category, page, itemId }) =>
+    showEntityDetail(interaction, sessionId, category, page, itemId));
+
+// Select menu opening a series from a non-series result
+const entitySeriesOpen = searchComponent('entity', ['category', 'page', 'itemId'], (interaction, { sessionId, category, page, itemId }) =>
+    handleSeriesSelection(interaction, interaction.values[0], {
+        customId: entityDetail.customId({ sessionId, category, page, itemId }),
+        label: `Back to ${categories[category].label}`
+    }));
+
 /**
  * Slash command for searching manga/comics in Kavita.
  */
@@ -28,33 +160,189 @@ const command = {
 
         try {
             const results = await kavita.searchSeries(searchTerm);
+            if (results?.series) {
+                const config = getGuildConfig(interaction.guildId);
+                results.series = results.series.filter(item => isLibraryAllowed(config, item.libraryId));
+            }
+            const firstCategory = Object.keys(categories).find(key => results?.[key]?.length);
 
-            if (!results?.series?.length) {
+            if (!firstCategory) {
                 return interaction.editReply(`❌ No results found for **${searchTerm}**.`);
             }
 
-            const embed = new EmbedBuilder()
-                .setTitle(`🔍 Results for "${searchTerm}"`)
-                .setColor(0x0099FF)
-                .setDescription(`Showing top ${Math.min(10, results.series.length)} result(s):`);
-
-            results.series.slice(0, 10).forEach((series, index) => {
-                const title = series.name || 'Unknown Title';
-                const id = series.seriesId ?? '???';
-                const library = series.libraryName || 'Unknown Library';
-
-                embed.addFields({
-                    name: `${index + 1}. ${title} (ID: ${id})`,
-                    value: `Library: ${library}`
-                });
-            });
+            pruneSessions();
+            sessions.set(interaction.id, { term: searchTerm, results, expires: Date.now() + SESSION_TTL_MS });
 
-            await interaction.editReply({ embeds: [embed] });
+            await interaction.editReply(buildResultsView(interaction.id, firstCategory, 0));
         } catch (err) {
             printError(`❌ Error during search:`, err);
-            await interaction.editReply('❌ An error occurred while searching. Please try again later.');
+            await interaction.editReply(describeKavitaError(err));
         }
-    }
+    },
+
+    components: [resultsPage, categorySelect, resultOpen, entityDetail, entitySeriesOpen]
 };
 
 export default command;
+
+/**
+ * 🧹 Drop expired search sessions.
+ */
+function pruneSessions() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+        if (session.expires < now) sessions.delete(id);
+    }
+}
+
+/**
+ * 📋 Build the embed + components for one page of one category.
+ */
+function buildResultsView(sessionId, category, page) {
+    const { term, results } = sessions.get(sessionId);
+    const config = categories[category];
+    const items = results[category] || [];
+    const totalPages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), totalPages - 1);
+    const slice = items.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🔍 Results for "${term}"`)
+        .setColor(0x0099FF)
+        .setDescription(`${config.emoji} **${config.label}** — showing ${current * PAGE_SIZE + 1}-${current * PAGE_SIZE + slice.length} of ${items.length}`)
+        .setFooter({ text: `Page ${current + 1}/${totalPages}` });
+
+    slice.forEach((item, index) => {
+        embed.addFields({
+            name: `${current * PAGE_SIZE + index + 1}. ${config.title(item)}`.slice(0, 256),
+            value: config.detail(item)
+        });
+    });
+
+    const categoryMenu = new StringSelectMenuBuilder()
+        .setCustomId(categorySelect.customId({ sessionId }))
+        .setPlaceholder('Switch category')
+        .addOptions(
+            Object.entries(categories)
+                .filter(([key]) => results[key]?.length)
+                .map(([key, c]) => ({
+                    label: `${c.label} (${results[key].length})`,
+                    value: key,
+                    emoji: c.emoji,
+                    default: key === category
+                }))
+        );
+
+    const resultMenu = new StringSelectMenuBuilder()
+        .setCustomId(resultOpen.customId({ sessionId, category, page: current }))
+        .setPlaceholder(`Open a ${config.label.toLowerCase()} result`)
+        .addOptions(slice.map((item, index) => ({
+            label: `${current * PAGE_SIZE + index + 1}. ${config.title(item)}`.slice(0, 100),
+            description: config.detail(item).slice(0, 100),
+            value: String(config.id(item))
+        })));
+
+    const navRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(resultsPage.customId({ sessionId, category, page: current - 1 }))
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(current === 0),
+        new ButtonBuilder()
+            .setCustomId(resultsPage.customId({ sessionId, category, page: current + 1 }))
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(current >= totalPages - 1)
+    );
+
+    return {
+        content: '',
+        attachments: [],
+        embeds: [embed],
+        components: [
+            new ActionRowBuilder().addComponents(categoryMenu),
+            new ActionRowBuilder().addComponents(resultMenu),
+            navRow
+        ]
+    };
+}
+
+/**
+ * 🔎 Load the series behind a collection, reading list, person, genre or tag,
+ * leaving out libraries the guild may not see.
+ * @param {string} category
+ * @param {string} itemId
+ * @param {import('../guildConfig.mjs').GuildConfig|null} guildConfig
+ * @returns {Promise<Array<{ id: number, name: string }>>}
+ */
+async function getEntitySeries(category, itemId, guildConfig) {
+    const id = parseInt(itemId, 10);
+
+    if (category === 'readingLists') {
+        const items = await kavita.getReadingListItems(id);
+        const seen = new Map();
+        items.forEach(item => {
+            if (!seen.has(item.seriesId) && isLibraryAllowed(guildConfig, item.libraryId)) {
+                seen.set(item.seriesId, { id: item.seriesId, name: item.seriesName });
+            }
+        });
+        return [...seen.values()];
+    }
+
+    const statement = field => ({ comparison: FilterComparison.Contains, field, value: String(id) });
+    const filters = {
+        collections: { statements: [{ comparison: FilterComparison.Equal, field: FilterField.CollectionTags, value: String(id) }] },
+        genres: { statements: [statement(FilterField.Genres)] },
+        tags: { statements: [statement(FilterField.Tags)] },
+        persons: { statements: PERSON_FIELDS.map(statement), combination: FilterCombination.Or }
+    };
+
+    const series = await kavita.filterSeries(filters[category]);
+    return series.filter(item => isLibraryAllowed(guildConfig, item.libraryId));
+}
+
+/**
+ * 🗂️ Show the series behind a non-series result, each openable in the detail view.
+ */
+async function showEntityDetail(interaction, sessionId, category, page, itemId) {
+    await interaction.deferUpdate();
+
+    const session = sessions.get(sessionId);
+    const config = categories[category];
+    const item = (session.results[category] || []).find(entry => String(config.id(entry)) === itemId);
+
+    try {
+        const series = (await getEntitySeries(category, itemId, getGuildConfig(interaction.guildId))).slice(0, 25);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${config.emoji} ${item ? config.title(item) : config.label}`)
+            .setColor(0x0099FF)
+            .setDescription(series.length
+                ? series.map((s, i) => `${i + 1}. ${s.name}`).join('\n').slice(0, 4096)
+                : 'No series found.');
+
+        const components = [];
+        if (series.length) {
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(entitySeriesOpen.customId({ sessionId, category, page, itemId }))
+                    .setPlaceholder('Open a series')
+                    .addOptions(series.map((s, i) => ({
+                        label: `${i + 1}. ${s.name}`.slice(0, 100),
+                        value: String(s.id)
+                    })))
+            ));
+        }
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(resultsPage.customId({ sessionId, category, page }))
+                .setLabel('Back to Results')
+                .setStyle(ButtonStyle.Secondary)
+        ));
+
+        await interaction.editReply({ content: '', embeds: [embed], components, attachments: [] });
+    } catch (err) {
+        printError('❌ Error fetching search result details:', err);
+        await interaction.editReply({ content: describeKavitaError(err), embeds: [], components: [] });
+    }
+}
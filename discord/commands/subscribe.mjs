@@ -0,0 +1,93 @@
+// /discord/commands/subscribe.mjs — Personal Series Subscriptions
+
+import { SlashCommandBuilder } from 'discord.js';
+import kavita from '../../kavita/initKavita.mjs';
+import { describeKavitaError } from '../../kavita/kavitaErrors.mjs';
+import { subscribe, setDigest, getUserSubscriptions } from '../subscriptionManager.mjs';
+import { getGuildConfig, isLibraryAllowed } from '../guildConfig.mjs';
+import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Slash command for subscribing to DM alerts about a series.
+ */
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Get a DM when a series gets new chapters or volumes')
+        .addStringOption(option =>
+            option.setName('series')
+                .setDescription('Series to follow')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption(option =>
+            option.setName('digest')
+                .setDescription('Bundle your alerts into a periodic digest instead of instant DMs')
+        ),
+
+    /**
+     * Executes the subscribe command.
+     * @param {import('discord.js').ChatInputCommandInteraction} interaction
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const seriesId = parseInt(interaction.options.getString('series'), 10);
+        const digest = interaction.options.getBoolean('digest');
+        printDebug(`[Subscribe] ${interaction.user.tag} subscribing to series ${seriesId}`);
+
+        if (isNaN(seriesId)) {
+            return interaction.editReply('❌ Pick a series from the suggestions.');
+        }
+
+        try {
+            const series = await kavita.fetchData(`/api/Series/${seriesId}`);
+            if (!series || !isLibraryAllowed(getGuildConfig(interaction.guildId), series.libraryId)) {
+                return interaction.editReply('❌ That series could not be found.');
+            }
+
+            let saved = await subscribe(interaction.user.id, series.id, series.name);
+            if (digest !== null) {
+                saved = (await setDigest(interaction.user.id, digest)) && saved;
+            }
+
+            const { series: subscribed, digest: digestMode } = getUserSubscriptions(interaction.user.id);
+            const lines = [
+                `✅ Subscribed to **${series.name}**.`,
+                `You follow ${subscribed.length} series — alerts arrive ${digestMode ? 'as a periodic digest' : 'instantly'} by DM.`
+            ];
+            if (!saved) lines.push('⚠️ Your subscription is active but could not be saved — it may be lost on restart.');
+
+            await interaction.editReply(lines.join('\n'));
+        } catch (err) {
+            printError('❌ Error while subscribing:', err);
+            await interaction.editReply(describeKavitaError(err, 'That series'));
+        }
+    },
+
+    /**
+     * Suggests series matching the typed text.
+     * @param {import('discord.js').AutocompleteInteraction} interaction
+     */
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        if (!query || query.length < 2) return interaction.respond([]);
+
+        try {
+            const results = await kavita.searchSeries(query);
+            const config = getGuildConfig(interaction.guildId);
+            const choices = (results?.series || [])
+                .filter(series => isLibraryAllowed(config, series.libraryId))
+                .slice(0, 25)
+                .map(series => ({
+                    name: `${series.name} (${series.libraryName || 'Unknown Library'})`.slice(0, 100),
+                    value: String(series.seriesId)
+                }));
+            await interaction.respond(choices);
+        } catch (err) {
+            printError('❌ Subscribe autocomplete failed:', err);
+            await interaction.respond([]);
+        }
+    }
+};
+
+export default command;
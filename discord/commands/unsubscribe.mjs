@@ -0,0 +1,61 @@
+// /discord/commands/unsubscribe.mjs — Stop Series Alerts
+
+import { SlashCommandBuilder } from 'discord.js';
+import { unsubscribe, getUserSubscriptions } from '../subscriptionManager.mjs';
+import { printDebug, printError } from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Slash command for removing a series subscription.
+ */
+const command = {
+    data: new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Stop DM alerts for a series')
+        .addStringOption(option =>
+            option.setName('series')
+                .setDescription('Series to stop following')
+                .setRequired(true)
+                .setAutocomplete(true)
+        ),
+
+    /**
+     * Executes the unsubscribe command.
+     * @param {import('discord.js').ChatInputCommandInteraction} interaction
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        const seriesId = parseInt(interaction.options.getString('series'), 10);
+        printDebug(`[Unsubscribe] ${interaction.user.tag} unsubscribing from series ${seriesId}`);
+
+        const match = getUserSubscriptions(interaction.user.id).series.find(s => s.seriesId === seriesId);
+        if (!match) {
+            return interaction.editReply('❌ You are not subscribed to that series.');
+        }
+
+        try {
+            const saved = await unsubscribe(interaction.user.id, seriesId);
+            await interaction.editReply(saved
+                ? `✅ Unsubscribed from **${match.name}**.`
+                : `⚠️ Unsubscribed from **${match.name}**, but the change could not be saved — it may come back after a restart.`);
+        } catch (err) {
+            printError('❌ Error while unsubscribing:', err);
+            await interaction.editReply('❌ An error occurred while unsubscribing. Please try again later.');
+        }
+    },
+
+    /**
+     * Suggests the user's own subscriptions.
+     * @param {import('discord.js').AutocompleteInteraction} interaction
+     */
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused().toLowerCase();
+        const choices = getUserSubscriptions(interaction.user.id).series
+            .filter(s => s.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map(s => ({ name: s.name.slice(0, 100), value: String(s.seriesId) }));
+
+        await interaction.respond(choices);
+    }
+};
+
+export default command;
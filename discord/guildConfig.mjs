@@ -0,0 +1,200 @@
+// /discord/guildConfig.mjs — Per-Guild Roles, Channels, Commands + Libraries (Vault-Persisted)
+//
+// REQUIRED_GUILD_ID is the primary guild: its settings come from the env vars,
+// and anything saved through `/admin setup` overrides them. Other guilds only
+// exist once they have been set up.
+
+import { getState, setState } from '../noona/store/initStore.mjs';
+import {
+    printStep,
+    printResult,
+    printError
+} from '../noona/logger/logUtils.mjs';
+
+/**
+ * Guild ID → saved settings. `commands` / `libraries` of null mean "all".
+ * @typedef {{
+ *   guildId: string,
+ *   roles: { admin: string|null, mod: string|null, user: string|null },
+ *   channels: { notifications: string|null, joinApproval: string|null, modLog: string|null },
+ *   commands: string[]|null,
+ *   libraries: number[]|null,
+ *   nullClears?: boolean,
+ *   updatedBy?: string,
+ *   updatedAt?: string
+ * }} GuildConfig
+ * @type {Record<string, GuildConfig>}
+ */
+let guilds = {};
+let loading = null;
+
+/**
+ * 🧱 Settings of the primary guild as given by the env vars.
+ * @returns {GuildConfig|null}
+ */
+function envConfig() {
+    const guildId = process.env.REQUIRED_GUILD_ID;
+    if (!guildId) return null;
+
+    const env = key => process.env[key] || null;
+    return {
+        guildId,
+        roles: { admin: env('REQUIRED_ROLE_ADMIN'), mod: env('REQUIRED_ROLE_MOD'), user: env('REQUIRED_ROLE_USER') },
+        channels: {
+            notifications: env('NOTIFICATION_CHANNEL_ID'),
+            joinApproval: env('JOIN_APPROVAL_CHANNEL_ID'),
+            modLog: env('MOD_LOG_CHANNEL_ID')
+        },
+        commands: null,
+        libraries: null
+    };
+}
+
+function emptyConfig(guildId) {
+    return {
+        guildId,
+        roles: { admin: null, mod: null, user: null },
+        channels: { notifications: null, joinApproval: null, modLog: null },
+        commands: null,
+        libraries: null
+    };
+}
+
+// A saved key wins even when null, so a cleared setting overrides the env default
+const pickSet = (saved = {}, fallback = {}) => Object.fromEntries(
+    Object.keys(fallback).map(key => [key, key in saved ? saved[key] : fallback[key]])
+);
+
+/**
+ * 🧹 Settings saved before a null could clear an env default stored null for
+ * "same as the env var" — drop those keys so the env value still applies.
+ * @param {GuildConfig} saved
+ * @returns {GuildConfig}
+ */
+function upgradeSaved(saved) {
+    if (saved.nullClears) return saved;
+
+    const upgraded = { ...saved, nullClears: true };
+    for (const group of ['roles', 'channels']) {
+        if (saved[group]) {
+            upgraded[group] = Object.fromEntries(Object.entries(saved[group]).filter(([, value]) => value !== null));
+        }
+    }
+    return upgraded;
+}
+
+/**
+ * 📥 Load guild settings from the state store once; later calls reuse the result.
+ */
+export function loadGuildConfigs() {
+    if (!loading) {
+        loading = (async () => {
+            printStep('[Guilds] 📥 Loading guild settings from the state store...');
+            const loaded = await getState('guilds', {});
+            if (loaded) {
+                guilds = Object.fromEntries(Object.entries(loaded).map(([id, saved]) => [id, upgradeSaved(saved)]));
+                printResult(`[Guilds] ✅ Loaded settings for ${Object.keys(guilds).length} guilds`);
+            } else {
+                printError('[Guilds] ❌ Could not load guild settings — using env settings only');
+                loading = null;
+            }
+            return guilds;
+        })();
+    }
+    return loading;
+}
+
+/**
+ * 🏠 Effective settings of a guild, or null when the guild has not been set up.
+ * @param {string|null} guildId
+ * @returns {GuildConfig|null}
+ */
+export function getGuildConfig(guildId) {
+    if (!guildId) return null;
+
+    const saved = guilds[guildId];
+    const base = guildId === process.env.REQUIRED_GUILD_ID ? envConfig() : null;
+    if (!saved && !base) return null;
+
+    const defaults = base || emptyConfig(guildId);
+    return {
+        ...defaults,
+        ...saved,
+        roles: pickSet(saved?.roles, defaults.roles),
+        channels: pickSet(saved?.channels, defaults.channels),
+        commands: saved?.commands ?? defaults.commands,
+        libraries: saved?.libraries ?? defaults.libraries
+    };
+}
+
+/**
+ * 🏠 Settings of the primary guild (REQUIRED_GUILD_ID).
+ * @returns {GuildConfig|null}
+ */
+export function getPrimaryGuildConfig() {
+    return getGuildConfig(process.env.REQUIRED_GUILD_ID);
+}
+
+/**
+ * 📋 Effective settings of every set-up guild, primary first.
+ * @returns {GuildConfig[]}
+ */
+export function listGuildConfigs() {
+    const ids = new Set([process.env.REQUIRED_GUILD_ID, ...Object.keys(guilds)].filter(Boolean));
+    return [...ids].map(getGuildConfig).filter(Boolean);
+}
+
+/**
+ * ✅ Whether a command is enabled in a guild. `/admin` can't be disabled.
+ * @param {GuildConfig|null} config
+ * @param {string} commandName
+ */
+export function isCommandEnabled(config, commandName) {
+    return commandName === 'admin' || !config?.commands || config.commands.includes(commandName);
+}
+
+/**
+ * 📚 Whether a guild may see a library.
+ * @param {GuildConfig|null} config
+ * @param {number|string} libraryId
+ */
+export function isLibraryAllowed(config, libraryId) {
+    return !config?.libraries || config.libraries.includes(parseInt(libraryId, 10));
+}
+
+/**
+ * 💾 Apply a change to one guild's saved settings and persist all guilds.
+ * @param {string} guildId
+ * @param {(config: GuildConfig) => void} mutate - Receives the effective settings
+ * @param {string} [updatedBy]
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export async function updateGuildConfig(guildId, mutate, updatedBy) {
+    await loadGuildConfigs();
+    const config = structuredClone(getGuildConfig(guildId) || emptyConfig(guildId));
+    mutate(config);
+
+    // Only keep what differs from the env vars, so later env changes still apply;
+    // a saved null means the setting was cleared on purpose
+    const base = guildId === process.env.REQUIRED_GUILD_ID ? envConfig() : null;
+    if (base) {
+        for (const group of ['roles', 'channels']) {
+            for (const key of Object.keys(base[group])) {
+                if (config[group][key] === base[group][key]) delete config[group][key];
+            }
+        }
+    }
+
+    guilds[guildId] = { ...config, nullClears: true, updatedBy, updatedAt: new Date().toISOString() };
+    return await setState('guilds', guilds);
+}
+
+/**
+ * ♻️ Forget a guild's saved settings (the primary guild goes back to its env settings).
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export async function resetGuildConfig(guildId) {
+    await loadGuildConfigs();
+    delete guilds[guildId];
+    return await setState('guilds', guilds);
+}
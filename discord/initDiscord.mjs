@@ -1,13 +1,10 @@
 // /discord/initDiscord.mjs — Warden-Ready Discord Setup (With Intent Notes)
 
 import { Client, GatewayIntentBits, Events } from 'discord.js';
-import { loadCommands, registerCommands } from './commandManager.mjs';
-import { hasRequiredRole } from './roleManager.mjs';
-import {
-    handleLibrarySelection,
-    handleSeriesPage,
-    handleSeriesSelection
-} from './commands/scan.mjs';
+import { loadCommands, registerCommands, routeComponent, usesGuildScope } from './commandManager.mjs';
+import { hasRequiredRole, hasAutocompleteAccess, loadPermissions } from './roleManager.mjs';
+import { loadGuildConfigs } from './guildConfig.mjs';
+import { KavitaError, describeKavitaError } from '../kavita/kavitaErrors.mjs';
 import {
     printStep,
     printResult,
@@ -21,6 +18,15 @@ const client = new Client({
     intents: [GatewayIntentBits.Guilds]
 });
 
+/**
+ * Guilds to register commands in when COMMAND_SCOPE=guild — every guild the bot is in.
+ * @returns {string[]}
+ */
+function guildIds() {
+    const joined = [...client.guilds.cache.keys()];
+    return joined.length ? joined : [process.env.REQUIRED_GUILD_ID].filter(Boolean);
+}
+
 /**
  * Initializes the Discord bot, loads slash commands, and attaches interaction handlers.
  * @returns {Promise<{ client: Client, commandCount: number }>}
@@ -31,7 +37,13 @@ export async function setupDiscord() {
     return new Promise(async (resolve, reject) => {
         try {
             printStep('📦 Loading slash commands...');
-            const { commandJSON, commandCollection, commandNames } = await loadCommands();
+            let { commandJSON, commandCollection, commandNames } = await loadCommands({
+                onReload: async reloaded => {
+                    client.commands = reloaded.commandCollection;
+                    commandJSON = reloaded.commandJSON;
+                    if (client.isReady()) await registerCommands(commandJSON, guildIds());
+                }
+            });
 
             if (commandCollection.size === 0) {
                 return reject(new Error('No valid commands loaded.'));
@@ -40,17 +52,26 @@ export async function setupDiscord() {
             client.commands = commandCollection;
             printResult(`✅ Commands loaded: [ ${commandNames.join(', ')} ]`);
 
+            await loadGuildConfigs();
+            await loadPermissions();
+
             client.once(Events.ClientReady, async () => {
                 printResult(`✅ Bot logged in as ${client.user.tag}`);
 
                 printStep('📡 Registering commands with Discord API...');
-                const count = await registerCommands(commandJSON);
+                const count = await registerCommands(commandJSON, guildIds());
                 printResult(`✅ Registered ${count} slash commands`);
 
                 printDivider();
                 resolve({ client, commandCount: count });
             });
 
+            // Guild-scoped commands have to be pushed to each guild the bot joins
+            client.on(Events.GuildCreate, async guild => {
+                printResult(`➕ Joined guild ${guild.name} (${guild.id})`);
+                if (usesGuildScope()) await registerCommands(commandJSON, [guild.id]);
+            });
+
             client.on(Events.InteractionCreate, async interaction => {
                 try {
                     // 🧠 Slash Commands
@@ -67,42 +88,35 @@ export async function setupDiscord() {
                     // 🔄 Autocomplete Support
                     else if (interaction.isAutocomplete()) {
                         const command = client.commands.get(interaction.commandName);
+                        if (!hasAutocompleteAccess(interaction)) {
+                            return await interaction.respond([]);
+                        }
                         if (command?.autocomplete) {
                             await command.autocomplete(interaction);
                         }
                     }
 
-                    // 🔘 Button Handlers (for scan UI)
-                    else if (interaction.isButton()) {
-                        const [prefix, ...args] = interaction.customId.split('_');
-                        const scan = client.commands.get('scan');
-                        if (!scan) return;
-
-                        if (prefix === 'scan' && args.length === 0) {
-                            await scan.execute(interaction);
-                        } else if (prefix === 'scan') {
-                            const libraryId = args[0];
-                            await handleLibrarySelection(interaction, libraryId);
-                        } else if (prefix === 'series' && args[0] === 'page') {
-                            const [, libraryId, page] = args;
-                            await handleSeriesPage(interaction, libraryId, parseInt(page), false);
-                        } else if (prefix === 'series') {
-                            const seriesId = args[0];
-                            await handleSeriesSelection(interaction, seriesId);
-                        }
+                    // 🔘 Buttons, Select Menus + Modals (dispatched to the command that owns them)
+                    else if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+                        await routeComponent(interaction);
                     }
                 } catch (err) {
                     printError(`❌ Interaction error: ${err.message}`);
 
+                    if (interaction.isAutocomplete() && !interaction.responded) {
+                        await interaction.respond([]).catch(() => null);
+                    }
+
                     if (interaction.isRepliable()) {
+                        const kavitaMessage = err instanceof KavitaError ? describeKavitaError(err) : null;
                         if (!interaction.replied && !interaction.deferred) {
                             await interaction.reply({
-                                content: '❌ An error occurred while executing that action.',
+                                content: kavitaMessage || '❌ An error occurred while executing that action.',
                                 ephemeral: true
                             });
                         } else {
                             await interaction.editReply({
-                                content: '❌ Something went wrong.'
+                                content: kavitaMessage || '❌ Something went wrong.'
                             });
                         }
                     }
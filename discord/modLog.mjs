@@ -0,0 +1,50 @@
+// /discord/modLog.mjs — Posts Operational Alerts to the Moderator Log Channel
+
+import { EmbedBuilder } from 'discord.js';
+import { printDebug, printError } from '../noona/logger/logUtils.mjs';
+import { getGuildConfig, getPrimaryGuildConfig } from './guildConfig.mjs';
+
+/**
+ * 🛡️ Post an alert to a guild's mod log channel (the primary guild's when none is given or
+ * the guild has none). Does nothing when no channel is configured.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {{ title: string, description: string, color?: number, fields?: Array<{ name: string, value: string, inline?: boolean }> }} alert
+ * @param {string|null} [guildId] - Guild the alert is about
+ * @returns {Promise<boolean>} Whether the alert was posted
+ */
+export async function postModLog(client, alert, guildId = null) {
+    const channelId = getGuildConfig(guildId)?.channels.modLog || getPrimaryGuildConfig()?.channels.modLog;
+    return await postAlert(client, channelId, alert);
+}
+
+/**
+ * 📮 Post an alert embed to a channel. Does nothing when no channel ID is given.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {string|undefined} channelId
+ * @param {{ title: string, description: string, color?: number, fields?: Array<{ name: string, value: string, inline?: boolean }> }} alert
+ * @returns {Promise<boolean>} Whether the alert was posted
+ */
+export async function postAlert(client, channelId, { title, description, color = 0xF04747, fields = [] }) {
+    if (!channelId) {
+        printDebug(`[ModLog] No channel configured — skipped "${title}"`);
+        return false;
+    }
+
+    try {
+        const channel = await client.channels.fetch(channelId);
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setDescription(description)
+            .setColor(color)
+            .setTimestamp();
+        if (fields.length) embed.addFields(fields);
+
+        await channel.send({ embeds: [embed] });
+        return true;
+    } catch (err) {
+        printError(`[ModLog] ❌ Failed to post "${title}": ${err.message}`);
+        return false;
+    }
+}
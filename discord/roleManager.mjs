@@ -1,65 +1,352 @@
-// /discord/roleManager.mjs — Warden-Style Role Enforcement
+// /discord/roleManager.mjs — Warden-Style Permission Rules (Vault-Persisted)
+//
+// Every command, subcommand and button action has a dotted permission key:
+// `/admin user delete` → `admin.user.delete`, the join review buttons →
+// `join.approve` / `join.deny` (components declare theirs, see commandManager). A key is governed by its own rule or, failing
+// that, the nearest parent's (`admin.user` → `admin`). Keys with no rule
+// anywhere up the chain are denied.
+//
+// Buttons and menus are also bound to whoever opened the flow: only the user
+// who ran `/scan` can click its library buttons. Messages the bot posts on its
+// own (e.g. join reviews) have no owner and are bound by their key's roles.
+//
+// Rules are kept per guild. Defaults come from the guild's roles in guildConfig.
 
+import { PermissionFlagsBits } from 'discord.js';
+import { getState, setState } from '../noona/store/initStore.mjs';
+import { getGuildConfig, isCommandEnabled } from './guildConfig.mjs';
 import {
+    printStep,
+    printResult,
     printError,
-    printResult
+    printDebug
 } from '../noona/logger/logUtils.mjs';
 
 /**
- * Map of restricted commands and the required ENV role key.
+ * Guild ID → permission key → rule. Stored rules replace the default for the same key.
+ * @typedef {{ roles: string[], allowUsers: string[], denyUsers: string[] }} PermissionRule
+ * @type {Record<string, Record<string, PermissionRule>>}
  */
-const restrictedCommands = {
-    admin: 'REQUIRED_ROLE_ADMIN',
-    scan: 'REQUIRED_ROLE_MOD',
-    search: 'REQUIRED_ROLE_USER',
-    join: 'REQUIRED_ROLE_USER',
-    ding: 'REQUIRED_ROLE_USER'
-};
+let rules = {};
+let loading = null;
 
 /**
- * Enforces role-based access control for Discord commands.
- * @param {import('discord/initDiscord.mjs').ChatInputCommandInteraction} interaction
+ * 🧱 Rules used for keys that have not been customised, built from the guild's configured roles.
+ * @param {string|null} guildId
+ * @returns {Record<string, PermissionRule>}
+ */
+function defaultRules(guildId) {
+    const { admin, mod, user } = getGuildConfig(guildId)?.roles || {};
+    const rule = (...roles) => ({ roles: roles.filter(Boolean), allowUsers: [], denyUsers: [] });
+
+    return {
+        admin: rule(admin),
+        scan: rule(mod),
+        search: rule(user),
+        join: rule(user),
+        'join.approve': rule(mod, admin),
+        'join.deny': rule(mod, admin),
+        ding: rule(user),
+        subscribe: rule(user),
+        unsubscribe: rule(user),
+        link: rule(user),
+        me: rule(user)
+    };
+}
+
+/**
+ * 📥 Load custom permission rules from the state store once; later calls reuse the result.
+ */
+export function loadPermissions() {
+    if (!loading) {
+        loading = (async () => {
+            printStep('[Permissions] 📥 Loading permission rules from the state store...');
+            const loaded = await getState('permissions', {});
+            if (loaded) {
+                rules = migrateRules(loaded);
+                printResult(`[Permissions] ✅ Loaded custom permission rules for ${Object.keys(rules).length} guilds`);
+            } else {
+                printError('[Permissions] ❌ Could not load permission rules — using defaults');
+                loading = null;
+            }
+            return rules;
+        })();
+    }
+    return loading;
+}
+
+/**
+ * 🔁 Rules saved before they were kept per guild belong to the primary guild.
+ */
+function migrateRules(loaded) {
+    const flat = Object.values(loaded).some(value => Array.isArray(value?.roles));
+    if (!flat) return loaded;
+    return process.env.REQUIRED_GUILD_ID ? { [process.env.REQUIRED_GUILD_ID]: loaded } : {};
+}
+
+/**
+ * 📋 Effective rules of a guild: defaults overlaid with its custom rules.
+ * @param {string|null} guildId
+ * @returns {Record<string, PermissionRule & { custom: boolean }>}
+ */
+export function getPermissionRules(guildId) {
+    const effective = {};
+    for (const [key, rule] of Object.entries(defaultRules(guildId))) effective[key] = { ...rule, custom: false };
+    for (const [key, rule] of Object.entries(rules[guildId] || {})) effective[key] = { ...rule, custom: true };
+    return effective;
+}
+
+/**
+ * 🔑 Permission key of a slash command interaction, e.g. `admin.user.delete`.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {string}
+ */
+export function getCommandPermissionKey(interaction) {
+    return [
+        interaction.commandName,
+        interaction.options.getSubcommandGroup(false),
+        interaction.options.getSubcommand(false)
+    ].filter(Boolean).join('.');
+}
+
+/**
+ * 🗂️ Every known permission key: each command, subcommand group and subcommand, plus component actions.
+ * @param {Iterable<{ data: { toJSON(): object }, components?: Array<{ permission: string }> }>} commands
+ * @returns {string[]}
+ */
+export function listPermissionKeys(commands) {
+    const keys = new Set();
+
+    const walk = (prefix, options = []) => {
+        for (const option of options) {
+            // 1 = subcommand, 2 = subcommand group
+            if (option.type !== 1 && option.type !== 2) continue;
+            const key = `${prefix}.${option.name}`;
+            keys.add(key);
+            walk(key, option.options);
+        }
+    };
+
+    for (const command of commands) {
+        const json = command.data.toJSON();
+        keys.add(json.name);
+        walk(json.name, json.options);
+        (command.components || []).forEach(component => keys.add(component.permission));
+    }
+
+    return [...keys].sort();
+}
+
+/**
+ * 👤 ID of the user whose command created a message, or null if the bot posted it on its own.
+ * @param {import('discord.js').Message|null} message
+ * @returns {string|null}
+ */
+export function getComponentOwner(message) {
+    return message?.interactionMetadata?.user?.id ?? null;
+}
+
+function memberRoleIds(member) {
+    if (!member) return [];
+    return Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+}
+
+/**
+ * ⚖️ Decide whether a user may use a permission key in a guild. A user deny on the key or
+ * any parent always wins; otherwise the most specific rule decides.
+ *
+ * @param {string} key
+ * @param {{ userId: string, roleIds: string[], guildId: string|null }} who
+ * @returns {{ allowed: boolean, reason: string, rule: string|null }}
+ */
+export function evaluatePermission(key, { userId, roleIds, guildId }) {
+    const effective = getPermissionRules(guildId);
+    const chain = key.split('.').map((_, i, parts) => parts.slice(0, parts.length - i).join('.'));
+
+    const denied = chain.find(k => effective[k]?.denyUsers.includes(userId));
+    if (denied) return { allowed: false, reason: 'user denied', rule: denied };
+
+    const governing = chain.find(k => effective[k]);
+    if (!governing) return { allowed: false, reason: 'no rule', rule: null };
+
+    const rule = effective[governing];
+    if (rule.allowUsers.includes(userId)) return { allowed: true, reason: 'user allowed', rule: governing };
+    if (rule.roles.some(roleId => roleIds.includes(roleId))) return { allowed: true, reason: 'role allowed', rule: governing };
+    return { allowed: false, reason: 'missing role', rule: governing };
+}
+
+// Keys a guild's admin role and Discord administrators can always use, so a bad rule can't lock everyone out.
+const LOCKOUT_SAFE_KEYS = ['admin.permissions', 'admin.setup'];
+
+function isGuildAdmin(interaction) {
+    const adminRole = getGuildConfig(interaction.guildId)?.roles.admin;
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator))
+        || Boolean(adminRole && memberRoleIds(interaction.member).includes(adminRole));
+}
+
+const isLockoutSafe = key => LOCKOUT_SAFE_KEYS.some(safe => key === safe || key.startsWith(`${safe}.`));
+
+/**
+ * ✅ Whether the member behind an interaction may use a permission key in the interaction's guild.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @param {string} key
  * @returns {boolean}
  */
-export function hasRequiredRole(interaction) {
-    const commandName = interaction.commandName;
-    const requiredEnvKey = restrictedCommands[commandName];
+export function isAllowed(interaction, key) {
+    if (isLockoutSafe(key) && isGuildAdmin(interaction)) return true;
 
-    // ✅ Unrestricted command
-    if (!requiredEnvKey) return true;
+    const who = { userId: interaction.user.id, roleIds: memberRoleIds(interaction.member), guildId: interaction.guildId };
+    const { allowed, reason, rule } = evaluatePermission(key, who);
+    if (!allowed) printDebug(`[Permissions] ${interaction.user.tag} denied ${key} (${reason}${rule ? ` via ${rule}` : ''})`);
+    return allowed;
+}
 
-    const requiredRoleID = process.env[requiredEnvKey];
-    const requiredGuildID = process.env.REQUIRED_GUILD_ID;
+/**
+ * 🏠 Why a guild can't use a key at all, or null when it can. Guilds that haven't been set up
+ * only allow `/admin setup`; set-up guilds can switch off whole commands.
+ */
+function guildRefusal(interaction, key) {
+    const config = getGuildConfig(interaction.guildId);
+    if (!config) {
+        return isLockoutSafe(key) && key.startsWith('admin.setup')
+            ? null
+            : '❌ This server is not set up for Noona-Portal yet. A server admin can run `/admin setup`.';
+    }
+    if (!isCommandEnabled(config, key.split('.')[0])) {
+        return '❌ This command is disabled in this server.';
+    }
+    return null;
+}
 
-    if (requiredGuildID && interaction.guildId !== requiredGuildID) {
-        printError(`[RoleCheck] ❌ Guild mismatch for /${commandName}`);
-        interaction.reply({
-            content: '❌ This command can only be used in the official server.',
-            ephemeral: true
-        });
+/**
+ * Enforces permission rules for slash commands and replies when access is denied.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {boolean}
+ */
+export function hasRequiredRole(interaction) {
+    const key = getCommandPermissionKey(interaction);
+
+    const refusal = guildRefusal(interaction, key);
+    if (refusal) {
+        printError(`[RoleCheck] ❌ /${interaction.commandName} refused in guild ${interaction.guildId}`);
+        interaction.reply({ content: refusal, ephemeral: true });
         return false;
     }
 
-    if (!requiredRoleID) {
-        printError(`[RoleCheck] ❌ ENV missing: ${requiredEnvKey}`);
+    if (!isAllowed(interaction, key)) {
+        printResult(`[RoleCheck] ❌ Unauthorized attempt: ${interaction.user.tag} tried /${key.replace(/\./g, ' ')}`);
         interaction.reply({
-            content: '❌ Role for this command is not configured. Please contact an admin.',
+            content: '❌ You do not have permission to use this command.',
             ephemeral: true
         });
         return false;
     }
 
-    const member = interaction.guild.members.cache.get(interaction.user.id);
-    const hasRole = member?.roles.cache.has(requiredRoleID) ?? false;
+    return true;
+}
 
-    if (!hasRole) {
-        printResult(`[RoleCheck] ❌ Unauthorized attempt: ${interaction.user.tag} tried /${commandName}`);
-        interaction.reply({
-            content: '❌ You do not have permission to use this command.',
-            ephemeral: true
-        });
+/**
+ * Enforces permission rules and flow ownership for buttons, select menus and modals, replying when access is denied.
+ * @param {import('discord.js').MessageComponentInteraction | import('discord.js').ModalSubmitInteraction} interaction
+ * @param {string} key - Permission key declared by the component's handler
+ * @returns {boolean}
+ */
+export function hasComponentAccess(interaction, key) {
+    const owner = getComponentOwner(interaction.message);
+    const deny = content => {
+        interaction.reply({ content, ephemeral: true });
         return false;
+    };
+
+    const refusal = guildRefusal(interaction, key);
+    if (refusal) {
+        printError(`[RoleCheck] ❌ Component ${interaction.customId} refused in guild ${interaction.guildId}`);
+        return deny(refusal);
+    }
+
+    if (owner && owner !== interaction.user.id) {
+        printResult(`[RoleCheck] ❌ ${interaction.user.tag} clicked a component owned by ${owner}`);
+        return deny('❌ These controls belong to someone else. Run the command yourself to get your own.');
+    }
+
+    if (!isAllowed(interaction, key)) {
+        printResult(`[RoleCheck] ❌ Unauthorized attempt: ${interaction.user.tag} used ${key}`);
+        return deny('❌ You do not have permission to use this.');
     }
 
     return true;
 }
+
+/**
+ * Whether autocomplete suggestions may be shown for the command being typed.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ * @returns {boolean}
+ */
+export function hasAutocompleteAccess(interaction) {
+    const key = getCommandPermissionKey(interaction);
+    return !guildRefusal(interaction, key) && isAllowed(interaction, key);
+}
+
+/**
+ * 💾 Apply a change to one key's rule in a guild (starting from its effective rule) and persist all custom rules.
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+async function updateRule(guildId, key, mutate) {
+    await loadPermissions();
+    const current = getPermissionRules(guildId)[key];
+    const rule = {
+        roles: [...(current?.roles || [])],
+        allowUsers: [...(current?.allowUsers || [])],
+        denyUsers: [...(current?.denyUsers || [])]
+    };
+    mutate(rule);
+    rules[guildId] = { ...rules[guildId], [key]: rule };
+    return await setState('permissions', rules);
+}
+
+const withItem = (list, id) => (list.includes(id) ? list : [...list, id]);
+const withoutItem = (list, id) => list.filter(item => item !== id);
+
+export function allowRole(guildId, key, roleId) {
+    return updateRule(guildId, key, rule => {
+        rule.roles = withItem(rule.roles, roleId);
+    });
+}
+
+export function removeRole(guildId, key, roleId) {
+    return updateRule(guildId, key, rule => {
+        rule.roles = withoutItem(rule.roles, roleId);
+    });
+}
+
+export function allowUser(guildId, key, userId) {
+    return updateRule(guildId, key, rule => {
+        rule.allowUsers = withItem(rule.allowUsers, userId);
+        rule.denyUsers = withoutItem(rule.denyUsers, userId);
+    });
+}
+
+export function denyUser(guildId, key, userId) {
+    return updateRule(guildId, key, rule => {
+        rule.denyUsers = withItem(rule.denyUsers, userId);
+        rule.allowUsers = withoutItem(rule.allowUsers, userId);
+    });
+}
+
+export function clearUser(guildId, key, userId) {
+    return updateRule(guildId, key, rule => {
+        rule.allowUsers = withoutItem(rule.allowUsers, userId);
+        rule.denyUsers = withoutItem(rule.denyUsers, userId);
+    });
+}
+
+/**
+ * ♻️ Drop a key's custom rule in a guild so it falls back to its default (or its parent's rule).
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export async function resetRule(guildId, key) {
+    await loadPermissions();
+    if (rules[guildId]) delete rules[guildId][key];
+    return await setState('permissions', rules);
+}
@@ -0,0 +1,213 @@
+// /discord/subscriptionManager.mjs — Personal Series Subscriptions + DM Alerts
+
+import { EmbedBuilder } from 'discord.js';
+import { getState, setState } from '../noona/store/initStore.mjs';
+import {
+    printStep,
+    printDebug,
+    printResult,
+    printError
+} from '../noona/logger/logUtils.mjs';
+
+const DIGEST_CHECK_MS = 60 * 60 * 1000;
+
+// Oldest queued updates are dropped past this, e.g. for a user whose DMs stay closed.
+const MAX_PENDING = 100;
+
+/**
+ * Discord user ID → subscription record. `pending` holds digest updates, or for
+ * instant users, updates whose DM failed and will be retried.
+ * @type {Record<string, {
+ *   series: Record<string, string>,
+ *   digest: boolean,
+ *   pending: Array<{ seriesId: number, seriesName: string, update: string, at: string }>,
+ *   lastDigestAt: string|null
+ * }>}
+ */
+let subscriptions = {};
+let digestInterval = null;
+
+function getDigestHours() {
+    const hours = parseInt(process.env.SUBSCRIPTION_DIGEST_HOURS, 10);
+    return isNaN(hours) || hours < 1 ? 24 : hours;
+}
+
+function getRecord(userId) {
+    if (!subscriptions[userId]) {
+        subscriptions[userId] = { series: {}, digest: false, pending: [], lastDigestAt: null };
+    }
+    return subscriptions[userId];
+}
+
+function queueUpdates(record, updates) {
+    record.pending = [...record.pending, ...updates].slice(-MAX_PENDING);
+}
+
+async function persist() {
+    const saved = await setState('subscriptions', subscriptions);
+    if (!saved) printError('[Subscriptions] ❌ Failed to persist subscriptions');
+    return saved;
+}
+
+/**
+ * 📥 Load all subscriptions from the state store. Keeps the current state on failure.
+ */
+export async function loadSubscriptions() {
+    printStep('[Subscriptions] 📥 Loading series subscriptions from the state store...');
+    const loaded = await getState('subscriptions', {});
+
+    if (loaded) {
+        subscriptions = loaded;
+        printResult(`[Subscriptions] ✅ Loaded subscriptions for ${Object.keys(subscriptions).length} users`);
+    } else {
+        printError('[Subscriptions] ❌ Could not load subscriptions — starting empty');
+    }
+
+    return subscriptions;
+}
+
+/**
+ * 📋 A user's subscribed series as `{ seriesId, name }`, plus their digest preference.
+ * @param {string} userId
+ */
+export function getUserSubscriptions(userId) {
+    const record = subscriptions[userId];
+    return {
+        series: Object.entries(record?.series || {}).map(([seriesId, name]) => ({ seriesId: parseInt(seriesId, 10), name })),
+        digest: record?.digest ?? false
+    };
+}
+
+/**
+ * ➕ Subscribe a user to a series.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function subscribe(userId, seriesId, seriesName) {
+    getRecord(userId).series[String(seriesId)] = seriesName;
+    return await persist();
+}
+
+/**
+ * ➖ Unsubscribe a user from a series. Drops the record once nothing is left.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function unsubscribe(userId, seriesId) {
+    const record = subscriptions[userId];
+    if (!record) return true;
+
+    delete record.series[String(seriesId)];
+    record.pending = record.pending.filter(item => item.seriesId !== parseInt(seriesId, 10));
+    if (!Object.keys(record.series).length) delete subscriptions[userId];
+
+    return await persist();
+}
+
+/**
+ * 📰 Switch a user between instant DMs and a periodic digest.
+ * Updates queued for a digest that is switched off go out on the next `flushDigests`.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function setDigest(userId, digest) {
+    getRecord(userId).digest = digest;
+    return await persist();
+}
+
+/**
+ * ✉️ DM a user one embed listing their updates.
+ */
+async function sendUpdateDm(discordClient, userId, updates, title) {
+    try {
+        const user = await discordClient.users.fetch(userId);
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(title)
+            .setDescription(updates.slice(0, 25).map(u => `• **${u.seriesName}** — ${u.update}`).join('\n'))
+            .setFooter({ text: 'Manage alerts with /subscribe and /unsubscribe' })
+            .setTimestamp();
+
+        if (updates.length > 25) {
+            embed.addFields({ name: '…and more', value: `${updates.length - 25} more update(s)` });
+        }
+
+        await user.send({ embeds: [embed] });
+        return true;
+    } catch (err) {
+        printError(`[Subscriptions] ❌ Could not DM ${userId}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * 🔔 Alert subscribers about newly announced items.
+ * Digest users get the update queued; everyone else gets one DM per call,
+ * queued for retry when it can't be delivered.
+ *
+ * @param {import('discord.js').Client} discordClient
+ * @param {Array<object>} announced - Items returned by the notifier (series or releases)
+ */
+export async function notifySubscribers(discordClient, announced) {
+    const updates = announced.map(item => ({
+        seriesId: item.seriesId ?? item.id,
+        seriesName: item.seriesName ?? item.name,
+        update: item.labels ? `${item.labels.join(', ')} added` : 'New series added',
+        at: new Date().toISOString()
+    }));
+
+    let queued = false;
+
+    for (const [userId, record] of Object.entries(subscriptions)) {
+        const matches = updates.filter(u => record.series[String(u.seriesId)]);
+        if (!matches.length) continue;
+
+        if (record.digest) {
+            queueUpdates(record, matches);
+            queued = true;
+            printDebug(`[Subscriptions] Queued ${matches.length} update(s) for ${userId}'s digest`);
+        } else if (!(await sendUpdateDm(discordClient, userId, matches, '🔔 New in your subscribed series'))) {
+            queueUpdates(record, matches);
+            queued = true;
+            printDebug(`[Subscriptions] Queued ${matches.length} undelivered update(s) for ${userId}`);
+        }
+    }
+
+    if (queued) await persist();
+}
+
+/**
+ * 📰 Send digests whose interval has elapsed, and retry queued updates for
+ * instant users (failed DMs, or a digest that was switched off).
+ * @param {import('discord.js').Client} discordClient
+ */
+export async function flushDigests(discordClient) {
+    const intervalMs = getDigestHours() * 60 * 60 * 1000;
+    let changed = false;
+
+    for (const [userId, record] of Object.entries(subscriptions)) {
+        if (!record.pending.length) continue;
+
+        if (record.digest) {
+            const since = record.lastDigestAt || record.pending[0].at;
+            if (Date.now() - new Date(since).getTime() < intervalMs) continue;
+        }
+
+        const title = record.digest ? '📰 Your series digest' : '🔔 New in your subscribed series';
+        const sent = await sendUpdateDm(discordClient, userId, record.pending, title);
+        if (sent) {
+            record.pending = [];
+            if (record.digest) record.lastDigestAt = new Date().toISOString();
+            changed = true;
+        }
+    }
+
+    if (changed) await persist();
+}
+
+/**
+ * ⏰ Start the hourly digest check.
+ * @param {import('discord.js').Client} discordClient
+ */
+export function startDigestSchedule(discordClient) {
+    if (digestInterval) clearInterval(digestInterval);
+    digestInterval = setInterval(() => flushDigests(discordClient), DIGEST_CHECK_MS);
+    printResult(`[Subscriptions] ✅ Digest schedule started — every ${getDigestHours()} hour(s) per user`);
+}
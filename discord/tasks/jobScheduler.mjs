@@ -0,0 +1,308 @@
+// /discord/tasks/jobScheduler.mjs — Cron Scheduler for Kavita Maintenance Jobs
+
+import crypto from 'crypto';
+import kavita from '../../kavita/initKavita.mjs';
+import {
+    runServerTask,
+    scanAllLibraries,
+    getConfiguredLibraryIds,
+    getServerJobLastRun,
+    SERVER_TASKS
+} from '../../kavita/postKavita.mjs';
+import { parseCron, matchesCron, nextCronRun, CronSyntaxError } from '../../noona/scheduler/cronExpression.mjs';
+import { postAlert } from '../modLog.mjs';
+import { getPrimaryGuildConfig } from '../guildConfig.mjs';
+import { getState, setState } from '../../noona/store/initStore.mjs';
+import {
+    printStep,
+    printDebug,
+    printResult,
+    printError
+} from '../../noona/logger/logUtils.mjs';
+
+const POLL_MS = 10_000;
+const TIMEOUT_MS = (parseInt(process.env.JOB_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_POLL_ERRORS = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * ⏳ Poll Kavita until `isDone` resolves true, so a job counts as running until
+ * Kavita has actually finished the work it queued.
+ * @param {() => Promise<boolean>} isDone
+ * @param {string} what - Shown in the error when it times out
+ * @throws {Error} After JOB_TIMEOUT_MINUTES, or when Kavita stops answering
+ */
+async function waitUntilDone(isDone, what) {
+    const started = Date.now();
+    let errors = 0;
+
+    for (;;) {
+        await sleep(POLL_MS);
+        try {
+            if (await isDone()) return;
+            errors = 0;
+        } catch (err) {
+            if (++errors >= MAX_POLL_ERRORS) throw new Error(`Lost contact with Kavita while waiting for ${what}: ${err.message}`);
+        }
+        if (Date.now() - started > TIMEOUT_MS) {
+            throw new Error(`Kavita did not report ${what} as finished within ${TIMEOUT_MS / 60_000} minutes.`);
+        }
+    }
+}
+
+async function getLastScans(ids) {
+    const libraries = await kavita.getLibraries({ cache: false });
+    return new Map(ids.map(id => [id, libraries.find(lib => lib.id === id)?.lastScanned ?? null]));
+}
+
+/**
+ * Tasks a job can run. Each resolves to a short summary once Kavita has finished, or throws.
+ */
+export const JOB_TASKS = {
+    ...Object.fromEntries(Object.entries(SERVER_TASKS).map(([task, { label, jobId }]) => [task, {
+        label,
+        run: async () => {
+            const baseline = jobId ? await getServerJobLastRun(jobId) : undefined;
+            await runServerTask(task);
+            if (!jobId) return `${label} finished on Kavita.`;
+            if (baseline === undefined) return `${label} started on Kavita (it does not report when this task finishes).`;
+
+            await waitUntilDone(async () => (await getServerJobLastRun(jobId)) !== baseline, label);
+            return `${label} finished on Kavita.`;
+        }
+    }])),
+    'scan-libraries': {
+        label: 'Scan All Libraries',
+        run: async () => {
+            const ids = getConfiguredLibraryIds();
+            const baseline = ids.length ? await getLastScans(ids) : null;
+            const queued = await scanAllLibraries();
+            if (!queued) throw new Error('No libraries to scan — set KAVITA_LIBRARY_IDS.');
+
+            // Like tracked scans: a library is done once its last-scanned time moves
+            await waitUntilDone(async () => {
+                const current = await getLastScans(ids);
+                return ids.every(id => current.get(id) !== baseline.get(id));
+            }, 'the library scans');
+            return `Scanned ${queued} librar${queued === 1 ? 'y' : 'ies'}.`;
+        }
+    }
+};
+
+/**
+ * Job ID → job definition.
+ * @type {Record<string, {
+ *   id: string,
+ *   name: string,
+ *   task: string,
+ *   cron: string,
+ *   paused: boolean,
+ *   createdBy: string,
+ *   createdAt: string,
+ *   lastRun: { at: string, trigger: string, status: 'success'|'failed'|'skipped', message: string, durationMs: number } | null
+ * }>}
+ */
+let jobs = {};
+const running = new Set();
+let schedulerClient = null;
+let tickTimer = null;
+
+async function persist() {
+    const saved = await setState('jobs', jobs);
+    if (!saved) printError('[Scheduler] ❌ Failed to persist scheduled jobs');
+    return saved;
+}
+
+function scheduleTick() {
+    const now = new Date();
+    const msToNextMinute = 60_000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    tickTimer = setTimeout(tick, msToNextMinute + 50);
+}
+
+function tick() {
+    const now = new Date();
+    for (const job of Object.values(jobs)) {
+        if (job.paused) continue;
+        try {
+            if (matchesCron(parseCron(job.cron), now)) runJob(job, 'schedule');
+        } catch (err) {
+            printError(`[Scheduler] ❌ Job "${job.name}" has an invalid schedule: ${err.message}`);
+        }
+    }
+    scheduleTick();
+}
+
+/**
+ * ▶️ Run a job unless a previous run is still going, then record and announce the result.
+ * @returns {Promise<{ status: 'success'|'failed'|'skipped', message: string }>}
+ */
+async function runJob(job, trigger) {
+    if (running.has(job.id)) {
+        printDebug(`[Scheduler] Job "${job.name}" still running — ${trigger} run skipped`);
+        const result = { status: 'skipped', message: 'The previous run has not finished yet.' };
+        await announce(job, trigger, result, 0);
+        return result;
+    }
+
+    running.add(job.id);
+    const started = Date.now();
+    let result;
+
+    try {
+        const message = await JOB_TASKS[job.task].run();
+        result = { status: 'success', message };
+        printResult(`[Scheduler] ✅ Job "${job.name}" finished: ${message}`);
+    } catch (err) {
+        result = { status: 'failed', message: err.message };
+        printError(`[Scheduler] ❌ Job "${job.name}" failed: ${err.message}`);
+    } finally {
+        running.delete(job.id);
+    }
+
+    const durationMs = Date.now() - started;
+    if (jobs[job.id]) {
+        jobs[job.id].lastRun = { at: new Date(started).toISOString(), trigger, ...result, durationMs };
+        await persist();
+    }
+    await announce(job, trigger, result, durationMs);
+    return result;
+}
+
+async function announce(job, trigger, { status, message }, durationMs) {
+    if (!schedulerClient) return;
+
+    const titles = { success: '✅ Scheduled Job Finished', failed: '❌ Scheduled Job Failed', skipped: '⏭️ Scheduled Job Skipped' };
+    const colors = { success: 0x43B581, failed: 0xF04747, skipped: 0xFAA61A };
+
+    await postAlert(schedulerClient, process.env.JOB_RESULTS_CHANNEL_ID || getPrimaryGuildConfig()?.channels.modLog, {
+        title: titles[status],
+        description: `**${job.name}** (${JOB_TASKS[job.task]?.label || job.task})\n${message}`,
+        color: colors[status],
+        fields: [
+            { name: 'Trigger', value: trigger, inline: true },
+            { name: 'Duration', value: `${(durationMs / 1000).toFixed(1)}s`, inline: true },
+            { name: 'Schedule', value: `\`${job.cron}\``, inline: true }
+        ]
+    });
+}
+
+/**
+ * ⏰ Load jobs from the state store and start checking schedules at the top of every minute.
+ * @param {import('discord.js').Client} client - Used to post job results
+ */
+export async function startJobScheduler(client) {
+    printStep('[Scheduler] 📥 Loading scheduled jobs from the state store...');
+    const loaded = await getState('jobs', {});
+    if (loaded) {
+        jobs = loaded;
+        printResult(`[Scheduler] ✅ Loaded ${Object.keys(jobs).length} scheduled jobs`);
+    } else {
+        printError('[Scheduler] ❌ Could not load scheduled jobs — starting empty');
+    }
+
+    schedulerClient = client;
+    if (tickTimer) clearTimeout(tickTimer);
+    scheduleTick();
+}
+
+export function stopJobScheduler() {
+    if (tickTimer) clearTimeout(tickTimer);
+    tickTimer = null;
+}
+
+/**
+ * 🩺 Whether the scheduler is checking schedules.
+ * @returns {boolean}
+ */
+export function isSchedulerRunning() {
+    return tickTimer !== null;
+}
+
+/**
+ * 📋 All jobs, sorted by name. Finding the next run can scan a year of minutes,
+ * so it is only worked out when asked for; a stored schedule that no longer
+ * parses gets `invalidCron` instead of throwing.
+ * @param {{ withNextRun?: boolean }} [options]
+ * @returns {Array<object & { running: boolean, nextRun?: Date|null, invalidCron?: string }>}
+ */
+export function listJobs({ withNextRun = false } = {}) {
+    return Object.values(jobs)
+        .map(job => {
+            const entry = { ...job, running: running.has(job.id) };
+            if (!withNextRun) return entry;
+
+            try {
+                entry.nextRun = job.paused ? null : nextCronRun(parseCron(job.cron));
+            } catch (err) {
+                if (!(err instanceof CronSyntaxError)) throw err;
+                entry.nextRun = null;
+                entry.invalidCron = err.message;
+            }
+            return entry;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 🔎 Find a job by ID or (case-insensitive) name.
+ * @param {string} query
+ */
+export function findJob(query) {
+    return jobs[query]
+        || Object.values(jobs).find(job => job.name.toLowerCase() === query?.toLowerCase())
+        || null;
+}
+
+/**
+ * ➕ Add a job. The cron expression is validated first.
+ * @param {{ name: string, task: string, cron: string, createdBy: string }} definition
+ * @returns {Promise<{ job: object, saved: boolean }>}
+ * @throws {import('../../noona/scheduler/cronExpression.mjs').CronSyntaxError}
+ */
+export async function addJob({ name, task, cron, createdBy }) {
+    parseCron(cron);
+    const id = crypto.randomBytes(3).toString('hex');
+    jobs[id] = {
+        id,
+        name,
+        task,
+        cron: cron.trim(),
+        paused: false,
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastRun: null
+    };
+    return { job: jobs[id], saved: await persist() };
+}
+
+/**
+ * ⏸️ Pause or resume a job.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function setJobPaused(id, paused) {
+    if (!jobs[id]) return false;
+    jobs[id].paused = paused;
+    return await persist();
+}
+
+/**
+ * 🗑️ Remove a job.
+ * @returns {Promise<boolean>} Whether the change was persisted
+ */
+export async function removeJob(id) {
+    if (!jobs[id]) return false;
+    delete jobs[id];
+    return await persist();
+}
+
+/**
+ * ⚡ Run a job right away (still refuses to overlap a running instance).
+ * @param {string} id
+ * @param {string} triggeredBy
+ */
+export async function triggerJob(id, triggeredBy) {
+    const job = jobs[id];
+    if (!job) return { status: 'failed', message: 'No such scheduled job.' };
+    return await runJob(job, `manual (${triggeredBy})`);
+}
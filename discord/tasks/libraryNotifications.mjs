@@ -1,9 +1,21 @@
 // /discord/tasks/libraryNotifications.mjs — Warden-Aware Notifier (Vault Auth + Structured Logging)
 
-import { sendNewItemNotifications } from '../../kavita/postKavita.mjs';
-import * as vault from '../../noona/vault/initVault.mjs';
+import { sendNewItemNotifications, sendLibraryEventNotification, getLookbackCutoff } from '../../kavita/postKavita.mjs';
+import { loadNotificationRoutes } from './notificationRoutes.mjs';
+import { invalidateKavitaCache } from '../../kavita/responseCache.mjs';
+import {
+    loadSubscriptions,
+    notifySubscribers,
+    flushDigests,
+    startDigestSchedule
+} from '../subscriptionManager.mjs';
+import {
+    loadAnnouncements,
+    isAnnounced,
+    recordAnnouncements,
+    pruneAnnouncements
+} from './notificationHistory.mjs';
 import {
-    printStep,
     printDebug,
     printResult,
     printError,
@@ -11,38 +23,113 @@ import {
 } from '../../noona/logger/logUtils.mjs';
 
 let interval = null;
+let notifierClient = null;
+let checking = null;
 
 /**
- * 📂 Load notified item IDs from Vault.
+ * 💾 Remember what was just posted.
  */
-async function loadNotifiedIds() {
-    printStep('[Notifier] 📥 Loading previously notified item IDs from Vault...');
-    try {
-        const ids = await vault.getNotifiedIds();
-        printResult(`[Notifier] ✅ Loaded ${ids.length} previously notified items from Vault`);
-        return new Set(ids);
-    } catch (err) {
-        printError('[Notifier] ❌ Failed to load notified IDs:', err?.response?.data || err.message);
-        return new Set();
+async function saveAnnouncements(announcements, label) {
+    if (await recordAnnouncements(announcements)) {
+        printResult(`[Notifier] ✅ Recorded ${announcements.length} announcements after "${label}"`);
+    } else {
+        printError(`[Notifier] ❌ Failed to record announcements after "${label}"`);
     }
 }
 
 /**
  * 🔁 Run notification cycle: check and notify.
  */
-async function runCheck(discordClient, notifiedIds, label = 'manual/initial') {
-    const newItems = await sendNewItemNotifications(discordClient, notifiedIds);
+async function runCheck(discordClient, label = 'manual/initial') {
+    // Without the announcement history every recent item would be posted again
+    if (!(await loadAnnouncements())) {
+        printError(`[Notifier] ⏭️ Skipping "${label}" check — announced items are unavailable`);
+        return;
+    }
+    await pruneAnnouncements(getLookbackCutoff());
+
+    let newItems;
+    try {
+        // Recorded message by message, so a failure partway doesn't repost what already went out
+        const result = await sendNewItemNotifications(discordClient, isAnnounced,
+            announcements => saveAnnouncements(announcements, `${label} check`));
+        newItems = result.items;
+    } catch (err) {
+        printError(`[Notifier] ❌ "${label}" check failed: ${err.message}`);
+        return;
+    }
 
     if (newItems.length > 0) {
-        try {
-            await vault.saveNotifiedIds([...notifiedIds]);
-            printResult(`[Notifier] ✅ Saved ${notifiedIds.size} notified IDs to Vault after "${label}" check`);
-        } catch (err) {
-            printError('[Notifier] ❌ Failed to save notified IDs:', err?.response?.data || err.message);
-        }
+        await notifySubscribers(discordClient, newItems);
     } else {
         printDebug(`[Notifier] 📭 No new items found during "${label}" check.`);
     }
+
+    await flushDigests(discordClient);
+}
+
+/**
+ * 🚦 Start a notification check, or join the one already running. Concurrent
+ * checks would all see the same items as unannounced and post them twice.
+ * @param {import('discord.js').Client} discordClient
+ * @param {string} label
+ * @returns {Promise<void>} Settles when the check is done; never rejects
+ */
+function startCheck(discordClient, label) {
+    if (!checking) {
+        checking = runCheck(discordClient, label)
+            .catch(err => printError(`[Notifier] ❌ "${label}" check failed: ${err.message}`))
+            .finally(() => {
+                checking = null;
+            });
+    } else {
+        printDebug(`[Notifier] ⏭️ "${label}" check joined the check already running`);
+    }
+    return checking;
+}
+
+/**
+ * 📨 Handle a pushed library event (webhook) using the notifier's shared state.
+ * A finished scan also starts a polling check in the background so new items
+ * are announced without waiting for the next interval; the event is answered
+ * without waiting for it.
+ *
+ * @param {{ event: string, data: object }} payload
+ * @returns {Promise<boolean>} Whether a notification was posted
+ */
+export async function handleLibraryEvent(payload) {
+    if (!notifierClient) {
+        printError('[Notifier] ⚠️ Received library event before the notifier was ready.');
+        return false;
+    }
+
+    // The library changed, so cached series lists and search results are stale
+    invalidateKavitaCache('series', 'search', 'stats', ...(payload.event === 'scan.finished' ? ['libraries'] : []));
+
+    if (!(await loadAnnouncements())) {
+        printError(`[Notifier] ⏭️ Ignoring "${payload.event}" event — announced items are unavailable`);
+        return false;
+    }
+
+    const { posted, items, announcements } = await sendLibraryEventNotification(notifierClient, payload, isAnnounced);
+
+    if (payload.event === 'scan.finished') {
+        startCheck(notifierClient, 'scan.finished event');
+    } else if (announcements.length) {
+        await saveAnnouncements(announcements, `${payload.event} event`);
+    }
+
+    if (items.length) await notifySubscribers(notifierClient, items);
+
+    return posted;
+}
+
+/**
+ * 🩺 Whether the scheduled notification interval is active.
+ * @returns {boolean}
+ */
+export function isNotifierRunning() {
+    return interval !== null;
 }
 
 /**
@@ -68,13 +155,17 @@ export async function setupLibraryNotifications(discordClient) {
     }
 
     const intervalMs = intervalHours * 60 * 60 * 1000;
-    const notifiedIds = await loadNotifiedIds();
+    await loadAnnouncements();
+    await loadNotificationRoutes();
+    await loadSubscriptions();
+    startDigestSchedule(discordClient);
+    notifierClient = discordClient;
 
     // Run first check shortly after boot
-    setTimeout(() => runCheck(discordClient, notifiedIds, 'initial'), 10_000);
+    setTimeout(() => startCheck(discordClient, 'initial'), 10_000);
 
     // Start scheduled interval
-    interval = setInterval(() => runCheck(discordClient, notifiedIds, 'scheduled'), intervalMs);
+    interval = setInterval(() => startCheck(discordClient, 'scheduled'), intervalMs);
 
     printResult(`[Notifier] ✅ Library notification service initialized — checking every ${intervalHours} hour(s)`);
 }
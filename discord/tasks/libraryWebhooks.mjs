@@ -0,0 +1,80 @@
+// /discord/tasks/libraryWebhooks.mjs — Signed Webhook Receiver for Pushed Library Events
+
+import { registerRoute } from '../../noona/server/initServer.mjs';
+import { KavitaNotFoundError, KavitaUnavailableError } from '../../kavita/kavitaErrors.mjs';
+import { handleLibraryEvent, isNotifierRunning } from './libraryNotifications.mjs';
+import {
+    printStep,
+    printDebug,
+    printResult,
+    printError
+} from '../../noona/logger/logUtils.mjs';
+
+export const WEBHOOK_PATH = '/v1/webhooks/events';
+
+/**
+ * Events accepted by the receiver and the data fields each one requires.
+ */
+const supportedEvents = {
+    'series.added': ['seriesId'],
+    'chapter.added': ['seriesId', 'chapterId'],
+    'scan.finished': []
+};
+
+/**
+ * 📨 Validate and dispatch a single webhook request (already signature-checked by the server).
+ * @param {string} rawBody
+ * @param {object} claims - Verified signature claims
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function handleWebhook(rawBody, claims) {
+    let payload;
+    try {
+        payload = JSON.parse(rawBody);
+    } catch {
+        return { status: 400, body: { error: 'Body must be valid JSON' } };
+    }
+
+    const { event, data = {} } = payload || {};
+    const required = supportedEvents[event];
+    if (!required) {
+        return { status: 400, body: { error: `Unsupported event: ${event}` } };
+    }
+
+    const missing = required.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length) {
+        return { status: 400, body: { error: `Missing fields: ${missing.join(', ')}` } };
+    }
+
+    if (!isNotifierRunning()) {
+        return { status: 503, body: { error: 'Notifier is not running' } };
+    }
+
+    printDebug(`[Webhook] Received "${event}" event from ${claims.iss}`);
+    const posted = await handleLibraryEvent({ event, data });
+    return { status: 200, body: { accepted: true, posted } };
+}
+
+/**
+ * 🛎️ Register the webhook route on the portal HTTP service.
+ */
+export function setupLibraryWebhooks() {
+    printStep(`[Webhook] 📨 Registering library event receiver at ${WEBHOOK_PATH}...`);
+
+    registerRoute('POST', WEBHOOK_PATH, async (req, rawBody, claims) => {
+        try {
+            return await handleWebhook(rawBody, claims);
+        } catch (err) {
+            if (err instanceof KavitaNotFoundError) {
+                return { status: 404, body: { error: err.message } };
+            }
+            if (err instanceof KavitaUnavailableError) {
+                return { status: 503, body: { error: err.message } };
+            }
+            printError(`[Webhook] ❌ Failed to process event: ${err.message}`);
+            return { status: 500, body: { error: 'Failed to process event' } };
+        }
+    }, { signed: true });
+
+    printResult(`[Webhook] ✅ Accepting signed events: ${Object.keys(supportedEvents).join(', ')}`);
+}
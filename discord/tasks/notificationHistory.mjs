@@ -0,0 +1,239 @@
+// /discord/tasks/notificationHistory.mjs — Announced Items + Their Discord Messages (Incremental, Pruned)
+//
+// Every announcement is stored with when it went out and which messages carry it,
+// so it can be re-posted or retracted later. Only changed entries are written, and
+// entries older than the lookback window are pruned — by then the notifier can't
+// see the item any more, so forgetting it never causes a repeat.
+
+import { EmbedBuilder } from 'discord.js';
+import { getState, setState, patchState } from '../../noona/store/initStore.mjs';
+import {
+    printStep,
+    printDebug,
+    printResult,
+    printError
+} from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Announcement ID → announcement. The ID is its first key.
+ * @typedef {{
+ *   id: string,
+ *   kind: 'series'|'release',
+ *   keys: string[],
+ *   title: string|null,
+ *   seriesId: number|null,
+ *   libraryId: number|null,
+ *   libraryName: string|null,
+ *   created: string|null,
+ *   announcedAt: string,
+ *   retractedAt?: string|null,
+ *   messages: Array<{ channelId: string, messageId: string, field: string|null }>
+ * }} Announcement
+ * @type {Record<string, Announcement>|null}
+ */
+let announcements = null;
+
+/**
+ * Announced key ("series:<id>", "volume:<id>", "chapter:<id>") → announcement ID.
+ * @type {Map<string, string>}
+ */
+let keyIndex = new Map();
+
+function indexKeys() {
+    keyIndex = new Map();
+    for (const entry of Object.values(announcements)) {
+        entry.keys.forEach(key => keyIndex.set(key, entry.id));
+    }
+}
+
+/**
+ * 🗃️ Turn the old flat list of notified IDs into announcements without metadata.
+ * Bare numbers were series IDs.
+ */
+function migrateNotifiedIds(ids) {
+    const announcedAt = new Date().toISOString();
+    return Object.fromEntries(ids.map(id => {
+        const key = typeof id === 'number' || /^\d+$/.test(id) ? `series:${id}` : String(id);
+        return [key, {
+            id: key,
+            kind: key.startsWith('series:') ? 'series' : 'release',
+            keys: [key],
+            title: null,
+            seriesId: key.startsWith('series:') ? parseInt(key.slice(7), 10) : null,
+            libraryId: null,
+            libraryName: null,
+            created: null,
+            announcedAt,
+            messages: []
+        }];
+    }));
+}
+
+/**
+ * 📥 Load announcements once; later calls reuse them. Retried while it fails.
+ * @returns {Promise<boolean>} Whether announcements are available
+ */
+export async function loadAnnouncements() {
+    if (announcements) return true;
+
+    printStep('[History] 📥 Loading announced items...');
+    const loaded = await getState('announcements', {});
+    if (!loaded) {
+        printError('[History] ❌ Failed to load announced items');
+        return false;
+    }
+
+    announcements = loaded;
+
+    if (!Object.keys(announcements).length) {
+        const legacy = await getState('notifiedIds', []);
+        if (legacy?.length) {
+            // Use the migrated IDs even if they can't be saved, or everything would be re-announced;
+            // the old list is only cleared once the new one is stored, so a restart migrates again
+            announcements = migrateNotifiedIds(legacy);
+            if (await setState('announcements', announcements)) {
+                await setState('notifiedIds', []);
+                printResult(`[History] ✅ Migrated ${legacy.length} notified IDs to announcements`);
+            } else {
+                printError(`[History] ⚠️ Migrated ${legacy.length} notified IDs but could not save them — will migrate again on restart`);
+            }
+        }
+    }
+
+    indexKeys();
+    printResult(`[History] ✅ Loaded ${Object.keys(announcements).length} announcements`);
+    return true;
+}
+
+/**
+ * 🔎 Whether a key ("series:<id>", "volume:<id>", "chapter:<id>") was already announced.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isAnnounced(key) {
+    return keyIndex.has(key);
+}
+
+/**
+ * 📝 Remember newly posted announcements.
+ * @param {Array<Omit<Announcement, 'announcedAt'>>} entries
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export async function recordAnnouncements(entries) {
+    if (!entries.length) return true;
+
+    const announcedAt = new Date().toISOString();
+    const set = Object.fromEntries(entries.map(entry => [entry.id, { ...entry, announcedAt }]));
+    Object.assign(announcements, set);
+    indexKeys();
+    return await patchState('announcements', { set });
+}
+
+/**
+ * 🧹 Forget announcements made before the cutoff.
+ * @param {Date} cutoff - Start of the notifier's lookback window
+ * @returns {Promise<number>} Number of announcements pruned
+ */
+export async function pruneAnnouncements(cutoff) {
+    const remove = Object.values(announcements)
+        .filter(entry => new Date(entry.announcedAt) < cutoff)
+        .map(entry => entry.id);
+    if (!remove.length) return 0;
+
+    remove.forEach(id => delete announcements[id]);
+    indexKeys();
+    await patchState('announcements', { remove });
+    printDebug(`[History] Pruned ${remove.length} announcements older than ${cutoff.toISOString()}`);
+    return remove.length;
+}
+
+/**
+ * 📋 Announcements, newest first.
+ * @param {(entry: Announcement) => boolean} [filter]
+ * @returns {Announcement[]}
+ */
+export function listAnnouncements(filter = () => true) {
+    return Object.values(announcements || {})
+        .filter(filter)
+        .sort((a, b) => new Date(b.announcedAt) - new Date(a.announcedAt));
+}
+
+/**
+ * @param {string} id
+ * @returns {Announcement|null}
+ */
+export function getAnnouncement(id) {
+    return announcements?.[id] || null;
+}
+
+/**
+ * 💾 Replace one announcement's messages and retraction time.
+ */
+async function updateAnnouncement(id, changes) {
+    const entry = { ...announcements[id], ...changes };
+    announcements[id] = entry;
+    return await patchState('announcements', { set: { [id]: entry } });
+}
+
+/**
+ * 📌 Attach messages from a re-post to an announcement.
+ * @param {string} id
+ * @param {Announcement['messages']} messages
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export async function addAnnouncementMessages(id, messages) {
+    return await updateAnnouncement(id, {
+        messages: [...announcements[id].messages, ...messages],
+        retractedAt: null
+    });
+}
+
+/**
+ * 🗑️ Take an announcement down in one guild: its field is removed from batched
+ * messages, and messages that carried only this announcement are deleted.
+ * The item stays announced, so the notifier won't post it again.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {string} id
+ * @param {string} guildId - Only messages in this guild are touched
+ * @returns {Promise<number>} Number of messages edited or deleted
+ */
+export async function retractAnnouncement(client, id, guildId) {
+    const entry = announcements[id];
+    const kept = [];
+    let changed = 0;
+
+    for (const ref of entry.messages) {
+        const channel = await client.channels.fetch(ref.channelId).catch(() => null);
+        if (channel && channel.guildId !== guildId) {
+            kept.push(ref);
+            continue;
+        }
+
+        const message = await channel?.messages.fetch(ref.messageId).catch(() => null);
+        if (!message) continue;
+
+        try {
+            const embeds = message.embeds.map(embed => EmbedBuilder.from(embed));
+            if (ref.field) {
+                embeds.forEach(embed => embed.setFields((embed.data.fields || []).filter(field => field.name !== ref.field)));
+            }
+
+            if (ref.field && embeds.some(embed => embed.data.fields?.length)) {
+                await message.edit({ embeds });
+            } else {
+                await message.delete();
+            }
+            changed++;
+        } catch (err) {
+            printError(`[History] ❌ Could not retract message ${ref.messageId}: ${err.message}`);
+            kept.push(ref);
+        }
+    }
+
+    await updateAnnouncement(id, {
+        messages: kept,
+        retractedAt: kept.length ? entry.retractedAt || null : new Date().toISOString()
+    });
+    return changed;
+}
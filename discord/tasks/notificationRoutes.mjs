@@ -0,0 +1,111 @@
+// /discord/tasks/notificationRoutes.mjs — Per-Library Notification Routing (Vault-Persisted)
+
+import { getState, setState } from '../../noona/store/initStore.mjs';
+import { listGuildConfigs, isLibraryAllowed } from '../guildConfig.mjs';
+import {
+    printStep,
+    printResult,
+    printError
+} from '../../noona/logger/logUtils.mjs';
+
+/**
+ * Library ID → { channelIds, roleId }. Libraries without an entry use each
+ * guild's notification channel and mention nobody.
+ * @type {Record<string, { channelIds: string[], roleId: string|null }>}
+ */
+let routes = {};
+
+/**
+ * 📥 Load routes from the state store into memory. Keeps the current routes on failure.
+ * @returns {Promise<Record<string, { channelIds: string[], roleId: string|null }>>}
+ */
+export async function loadNotificationRoutes() {
+    printStep('[Routes] 📥 Loading notification routes from the state store...');
+    const loaded = await getState('notificationRoutes', {});
+
+    if (loaded) {
+        routes = loaded;
+        printResult(`[Routes] ✅ Loaded routes for ${Object.keys(routes).length} libraries`);
+    } else {
+        printError('[Routes] ❌ Could not load notification routes — using defaults');
+    }
+
+    return routes;
+}
+
+/**
+ * 📋 Current in-memory routes.
+ */
+export function getNotificationRoutes() {
+    return routes;
+}
+
+/**
+ * 🧭 Resolve where a library's notifications go. Each set-up guild that may see the library
+ * gets the routed channels that belong to it, or else its own notification channel.
+ * Routed channels whose guild is unknown (not cached) always receive them.
+ *
+ * @param {number|string} libraryId
+ * @param {import('discord.js').Client} [client] - Used to tell which guild a routed channel is in
+ * @returns {{ channelIds: string[], roleId: string|null }}
+ */
+export function resolveLibraryRoute(libraryId, client) {
+    const route = routes[String(libraryId)];
+    const routed = route?.channelIds || [];
+    const guildOf = channelId => client?.channels.cache.get(channelId)?.guildId ?? null;
+
+    const configs = listGuildConfigs();
+    const knownGuilds = new Set(configs.map(config => config.guildId));
+    const channelIds = routed.filter(channelId => !knownGuilds.has(guildOf(channelId)));
+
+    for (const config of configs) {
+        if (!isLibraryAllowed(config, libraryId)) continue;
+        const own = routed.filter(channelId => guildOf(channelId) === config.guildId);
+        channelIds.push(...(own.length ? own : [config.channels.notifications].filter(Boolean)));
+    }
+
+    return { channelIds: [...new Set(channelIds)], roleId: route?.roleId || null };
+}
+
+/**
+ * 💾 Apply a change to one library's route and persist all routes.
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+async function updateRoute(libraryId, mutate) {
+    const key = String(libraryId);
+    const route = { channelIds: [], roleId: null, ...routes[key] };
+    mutate(route);
+
+    if (!route.channelIds.length && !route.roleId) {
+        delete routes[key];
+    } else {
+        routes[key] = route;
+    }
+
+    return await setState('notificationRoutes', routes);
+}
+
+export function addRouteChannel(libraryId, channelId) {
+    return updateRoute(libraryId, route => {
+        if (!route.channelIds.includes(channelId)) route.channelIds = [...route.channelIds, channelId];
+    });
+}
+
+export function removeRouteChannel(libraryId, channelId) {
+    return updateRoute(libraryId, route => {
+        route.channelIds = route.channelIds.filter(id => id !== channelId);
+    });
+}
+
+export function setRouteRole(libraryId, roleId = null) {
+    return updateRoute(libraryId, route => {
+        route.roleId = roleId;
+    });
+}
+
+export function resetRoute(libraryId) {
+    return updateRoute(libraryId, route => {
+        route.channelIds = [];
+        route.roleId = null;
+    });
+}
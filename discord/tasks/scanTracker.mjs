@@ -0,0 +1,239 @@
+// /discord/tasks/scanTracker.mjs — Follows Library Scans Until Kavita Reports Them Finished
+
+import { MessageFlags } from 'discord.js';
+import kavita from '../../kavita/initKavita.mjs';
+import { scanSingleLibrary, getSeriesSince } from '../../kavita/postKavita.mjs';
+import { buildLibraryFilter } from '../../kavita/kavitaFilters.mjs';
+import { invalidateKavitaCache } from '../../kavita/responseCache.mjs';
+import { postModLog } from '../modLog.mjs';
+import { printDebug, printResult, printError } from '../../noona/logger/logUtils.mjs';
+
+const POLL_MS = (parseInt(process.env.SCAN_POLL_SECONDS, 10) || 10) * 1000;
+const TIMEOUT_MS = (parseInt(process.env.SCAN_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_POLL_ERRORS = 5;
+
+// Finished scans keep showing their summary in the series browser for a while.
+const STATUS_RETENTION_MS = 10 * 60 * 1000;
+
+// Interaction tokens are valid for 15 minutes; stop editing ephemeral replies just before.
+const INTERACTION_TOKEN_MS = 14 * 60 * 1000;
+
+/**
+ * Scans being tracked, keyed by library ID.
+ * @type {Map<string, {
+ *   library: { id: number, name: string },
+ *   requestedBy: string,
+ *   guildId?: string|null,
+ *   startedAt: Date,
+ *   baseline: string|null,
+ *   before: number|null,
+ *   seen: number|null,
+ *   errors: number,
+ *   finishedAt: number|null,
+ *   status: string,
+ *   updaters: Array<(content: string) => Promise<void>>
+ * }>}
+ */
+const scans = new Map();
+
+/**
+ * ✏️ Build a function that rewrites the text of the message an interaction belongs to.
+ * Public messages are edited directly; ephemeral replies only while the interaction token is valid.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction | import('discord.js').MessageComponentInteraction} interaction
+ * @returns {(content: string) => Promise<void>}
+ */
+export function createReplyUpdater(interaction) {
+    const message = interaction.message && !interaction.message.flags?.has(MessageFlags.Ephemeral)
+        ? interaction.message
+        : null;
+    const tokenExpires = Date.now() + INTERACTION_TOKEN_MS;
+
+    return async content => {
+        if (message) {
+            await message.edit({ content });
+        } else if (Date.now() < tokenExpires) {
+            await interaction.editReply({ content });
+        }
+    };
+}
+
+/**
+ * 📣 Latest progress line for a library's scan, if one is running or finished recently.
+ * @param {number|string} libraryId
+ * @returns {string|null}
+ */
+export function getScanStatus(libraryId) {
+    const scan = scans.get(String(libraryId));
+    if (!scan) return null;
+    if (scan.finishedAt && Date.now() - scan.finishedAt > STATUS_RETENTION_MS) return null;
+    return scan.status;
+}
+
+/**
+ * 🔄 Start a library scan and report its progress until Kavita finishes it.
+ * If the library is already being tracked, the new message just follows the running scan.
+ *
+ * @param {{
+ *   client: import('discord.js').Client,
+ *   library: { id: number, name: string },
+ *   force?: boolean,
+ *   requestedBy: string,
+ *   update: (content: string) => Promise<void>
+ * }} options
+ * @returns {Promise<string>} First progress line
+ * @throws {import('../../kavita/kavitaErrors.mjs').KavitaError} When the scan could not be started
+ */
+export async function startTrackedScan({ client, library, force = false, requestedBy, guildId = null, update }) {
+    const key = String(library.id);
+    const running = scans.get(key);
+    if (running && !running.finishedAt) {
+        running.updaters.push(update);
+        return running.status;
+    }
+
+    const scan = {
+        library,
+        requestedBy,
+        guildId,
+        startedAt: new Date(),
+        baseline: null,
+        before: null,
+        seen: null,
+        errors: 0,
+        finishedAt: null,
+        status: `🔄 Starting scan of **${library.name}**…`,
+        updaters: [update]
+    };
+    // Reserved before the first await, so a second click joins this scan instead of starting another
+    scans.set(key, scan);
+
+    try {
+        invalidateKavitaCache('libraries', 'series');
+        const [libraries, count] = await Promise.all([
+            kavita.getLibraries({ cache: false }),
+            countSeries(library.id)
+        ]);
+        scan.baseline = libraries.find(lib => lib.id === library.id)?.lastScanned ?? null;
+        scan.before = count;
+
+        await scanSingleLibrary(library.id, force);
+    } catch (err) {
+        scans.delete(key);
+        // Anyone who joined while it was starting is still waiting on "Starting scan…"
+        const failed = `❌ Scan of **${library.name}** could not be started.`;
+        await Promise.allSettled(scan.updaters.slice(1).map(joined => joined(failed)));
+        await postModLog(client, {
+            title: '❌ Library Scan Failed to Start',
+            description: `Scan of **${library.name}** requested by ${requestedBy} could not be started.`,
+            fields: [{ name: 'Error', value: err.message.slice(0, 1024) }]
+        }, guildId);
+        throw err;
+    }
+
+    scan.status = `🔄 Scanning **${library.name}**${force ? ' (forced)' : ''}… started <t:${Math.floor(scan.startedAt.getTime() / 1000)}:R>`;
+    printDebug(`[Scan] Tracking scan of ${library.name} requested by ${requestedBy}`);
+
+    setTimeout(() => poll(client, scan), POLL_MS);
+    return scan.status;
+}
+
+// ———————————————————————————————————————————————————————————————————
+// Helpers
+
+async function countSeries(libraryId) {
+    const { pagination } = await kavita.getSeriesPage(buildLibraryFilter({ libraryId }), 1, 1, { cache: false });
+    return pagination.totalItems ?? null;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+async function render(scan) {
+    const results = await Promise.allSettled(scan.updaters.map(update => update(scan.status)));
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => printDebug(`[Scan] Progress message not updated: ${result.reason?.message}`));
+}
+
+async function poll(client, scan) {
+    const elapsed = Date.now() - scan.startedAt.getTime();
+
+    try {
+        const libraries = await kavita.getLibraries({ cache: false });
+        const current = libraries.find(lib => lib.id === scan.library.id);
+        scan.errors = 0;
+
+        if (!current) {
+            return fail(client, scan, 'The library no longer exists in Kavita.');
+        }
+        if ((current.lastScanned ?? null) !== scan.baseline) {
+            return complete(scan);
+        }
+        if (elapsed > TIMEOUT_MS) {
+            return fail(client, scan, `Kavita did not report the scan as finished within ${formatDuration(TIMEOUT_MS)}.`);
+        }
+
+        scan.seen = await countSeries(scan.library.id);
+        scan.status = [
+            `🔄 Scanning **${scan.library.name}**… ${formatDuration(elapsed)} elapsed`,
+            scan.seen !== null ? `${scan.seen} series so far` : null
+        ].filter(Boolean).join(' · ');
+        await render(scan);
+    } catch (err) {
+        scan.errors++;
+        printDebug(`[Scan] Progress check for ${scan.library.name} failed (${scan.errors}/${MAX_POLL_ERRORS}): ${err.message}`);
+        if (scan.errors >= MAX_POLL_ERRORS) {
+            return fail(client, scan, `Lost contact with Kavita: ${err.message}`);
+        }
+    }
+
+    setTimeout(() => poll(client, scan), POLL_MS);
+}
+
+async function complete(scan) {
+    const took = formatDuration(Date.now() - scan.startedAt.getTime());
+    invalidateKavitaCache('libraries', 'series', 'search', 'stats');
+
+    let summary = '';
+    try {
+        const [after, added, updated] = await Promise.all([
+            countSeries(scan.library.id),
+            getSeriesSince(scan.library.id, 'recent', 'created', scan.startedAt),
+            getSeriesSince(scan.library.id, 'updated', 'lastChapterAdded', scan.startedAt)
+        ]);
+        const addedIds = new Set(added.map(series => series.id));
+        const updatedCount = updated.filter(series => !addedIds.has(series.id)).length;
+        const removed = scan.before !== null && after !== null
+            ? Math.max(0, scan.before + added.length - after)
+            : null;
+
+        summary = ` — ➕ ${added.length} added · ✏️ ${updatedCount} updated${removed !== null ? ` · ➖ ${removed} removed` : ''}`;
+    } catch (err) {
+        printError(`[Scan] ❌ Could not count changes for ${scan.library.name}: ${err.message}`);
+    }
+
+    scan.finishedAt = Date.now();
+    scan.status = `✅ Scan of **${scan.library.name}** finished <t:${Math.floor(scan.finishedAt / 1000)}:t> (took ${took})${summary}`;
+    printResult(`[Scan] ✅ Scan of ${scan.library.name} finished in ${took}`);
+    await render(scan);
+}
+
+async function fail(client, scan, reason) {
+    scan.finishedAt = Date.now();
+    scan.status = `❌ Scan of **${scan.library.name}** failed: ${reason}`;
+    printError(`[Scan] ❌ Scan of ${scan.library.name} failed: ${reason}`);
+    await render(scan);
+
+    await postModLog(client, {
+        title: '❌ Library Scan Failed',
+        description: `Scan of **${scan.library.name}** requested by ${scan.requestedBy} did not complete.`,
+        fields: [
+            { name: 'Reason', value: reason.slice(0, 1024) },
+            { name: 'Started', value: `<t:${Math.floor(scan.startedAt.getTime() / 1000)}:f>`, inline: true }
+        ]
+    }, scan.guildId);
+}
@@ -1,11 +1,22 @@
 // /initmain.mjs — Noona-Portal Boot Logic (Vault-Resilient, Discord-Aware)
 
 import { setupDiscord } from './discord/initDiscord.mjs';
-import { setupLibraryNotifications } from './discord/tasks/libraryNotifications.mjs';
-import { authenticateWithKavita } from './kavita/initKavita.mjs';
-import { getVaultToken, waitForVaultReady } from './noona/vault/initVault.mjs';
+import { setupLibraryNotifications, isNotifierRunning } from './discord/tasks/libraryNotifications.mjs';
+import { setupLibraryWebhooks, WEBHOOK_PATH } from './discord/tasks/libraryWebhooks.mjs';
+import { startJobScheduler, stopJobScheduler, isSchedulerRunning, listJobs } from './discord/tasks/jobScheduler.mjs';
+import kavita, { authenticateWithKavita, getKavitaCircuitState } from './kavita/initKavita.mjs';
+import { getVaultToken, waitForVaultReady, pingVault } from './noona/vault/initVault.mjs';
 import { checkKeys } from './noona/vault/auth/checkKeys.mjs';
+import { watchVaultToken, stopVaultToken } from './noona/vault/auth/vaultToken.mjs';
+import { getStoreBackend, getPendingWrites, replayJournal, stopStore } from './noona/store/initStore.mjs';
 import { printBootSummary } from './noona/logger/printBootSummary.mjs';
+import { startPortalServer, stopPortalServer, registerRoute } from './noona/server/initServer.mjs';
+import { getCacheStats } from './kavita/responseCache.mjs';
+import {
+    setComponentStatus,
+    registerComponentProbe,
+    markBootComplete
+} from './noona/server/componentStatus.mjs';
 import {
     printHeader,
     printStep,
@@ -18,7 +29,6 @@ import {
 import { validateEnv } from './noona/logger/validateEnv.mjs';
 
 const SKIP_KEY_CHECK = process.env.SKIP_KEY_CHECK === 'true';
-const VAULT_URL = process.env.VAULT_URL || 'http://localhost:3120';
 
 // 🔍 Validate required environment variables
 validateEnv(
@@ -46,6 +56,67 @@ validateEnv(
 let discordClient = null;
 let shutdownInProgress = false;
 
+// ─────────────────────────────────────────────
+// 🩺 Live Health Probes (served on PORTAL_PORT)
+// ─────────────────────────────────────────────
+registerComponentProbe('Vault Connection', async () => {
+    const online = await pingVault();
+    return online
+        ? { info: 'Responding at /health', ready: true }
+        : { info: 'Vault health check failed', ready: false };
+});
+
+// The key pair only needs checking until it passes once
+let keysVerified = false;
+registerComponentProbe('JWT Keys', async () => {
+    keysVerified ||= await checkKeys();
+    return keysVerified
+        ? { info: 'Key pair is valid', ready: true }
+        : { info: 'Key pair mismatch or public key unavailable', ready: false };
+});
+
+// Reloads the token from Redis while there is none, so a missing token at boot isn't permanent
+registerComponentProbe('Vault Auth', async () => {
+    const token = await getVaultToken();
+    return token
+        ? { info: 'Token loaded from Redis', ready: true }
+        : { info: 'No usable token in Redis', ready: false };
+});
+
+registerComponentProbe('State Store', async () => {
+    const pending = getPendingWrites().length;
+    return {
+        info: pending ? `${getStoreBackend()} · ${pending} writes waiting to be replayed` : `${getStoreBackend()} · in sync`,
+        ready: true
+    };
+});
+
+registerComponentProbe('Discord Bot', async () => {
+    const ready = discordClient?.isReady() ?? false;
+    return { info: ready ? 'Client connected' : 'Client not connected', ready };
+});
+
+registerComponentProbe('Kavita API', async () => {
+    const { state, failures, retryInMs } = getKavitaCircuitState();
+    if (state === 'open') {
+        return { info: `Circuit open after ${failures} failures, retrying in ${Math.ceil(retryInMs / 1000)}s`, ready: false };
+    }
+    if (!kavita.jwtToken) {
+        return { info: 'Not authenticated', ready: false };
+    }
+    return { info: state === 'half-open' ? 'Recovering from failures' : 'Authenticated', ready: true };
+});
+
+registerComponentProbe('Library Notifier', async () => {
+    const running = isNotifierRunning();
+    return { info: running ? 'Scheduler running' : 'Scheduler stopped', ready: running };
+});
+
+registerComponentProbe('Job Scheduler', async () => {
+    const running = isSchedulerRunning();
+    return { info: running ? `${listJobs().length} jobs scheduled` : 'Scheduler stopped', ready: running };
+});
+
 // ─────────────────────────────────────────────
 // 💥 Graceful Shutdown
 // ─────────────────────────────────────────────
@@ -57,12 +128,19 @@ async function gracefulShutdown(signal) {
     printStep(`⚠️  Received ${signal}. Shutting down Noona-Portal...`);
 
     try {
+        stopJobScheduler();
+        stopStore();
+        await stopVaultToken();
+
         if (discordClient) {
             printStep('🧼 Destroying Discord client...');
             await discordClient.destroy();
             printResult('✅ Discord client shut down.');
         }
 
+        printStep('🌐 Closing HTTP service...');
+        await stopPortalServer();
+
         printResult('🌙 Cleanup complete.');
     } catch (err) {
         printError(`❌ Error during shutdown: ${err.message}`);
@@ -85,6 +163,24 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
     printSection('🛠️ Initializing Portal Environment...');
 
     const summary = [];
+    const report = entry => {
+        summary.push(entry);
+        setComponentStatus(entry);
+    };
+
+    // 0. 🌐 HTTP Service (health & readiness probes, metrics)
+    // Internal counters — only for signed callers, like the webhook receiver
+    registerRoute('GET', '/metrics', async () => ({
+        status: 200,
+        body: { kavitaCache: getCacheStats() }
+    }), { signed: true });
+
+    try {
+        await startPortalServer(process.env.PORTAL_PORT);
+    } catch (err) {
+        printError(`❌ HTTP service failed to start: ${err.message}`);
+        report({ name: 'HTTP Service', info: err.message, ready: false });
+    }
 
     // 1. 📡 Vault Availability Check
     printStep('📡 Checking Vault availability...');
@@ -92,21 +188,21 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
         const vaultReady = await waitForVaultReady();
         if (!vaultReady) throw new Error('Timeout or network failure');
         printResult('✅ Vault is online.');
-        summary.push({ name: 'Vault Connection', info: 'Responding at /health', ready: true });
+        report({ name: 'Vault Connection', info: 'Responding at /health', ready: true });
     } catch (err) {
         printError(`❌ Vault check failed: ${err.message}`);
-        summary.push({ name: 'Vault Connection', info: err.message, ready: false });
+        report({ name: 'Vault Connection', info: err.message, ready: false });
     }
 
     // 2. 🔐 JWT Key Pair Check
     printStep('🔐 Verifying JWT key pair...');
     try {
-        const keysValid = await checkKeys();
-        if (!keysValid) throw new Error('Key pair mismatch or invalid');
-        summary.push({ name: 'JWT Keys', info: 'Key pair is valid', ready: true });
+        keysVerified = await checkKeys();
+        if (!keysVerified) throw new Error('Key pair mismatch or invalid');
+        report({ name: 'JWT Keys', info: 'Key pair is valid', ready: true });
     } catch (err) {
         printError(`❌ JWT Key check failed: ${err.message}`);
-        summary.push({ name: 'JWT Keys', info: err.message, ready: false });
+        report({ name: 'JWT Keys', info: err.message, ready: false });
     }
 
     // 3. 🗝️ Vault Token Fetch (optional for headers)
@@ -115,22 +211,35 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
         const token = await getVaultToken();
         if (!token) throw new Error('Token is null');
         printResult('✅ Vault token retrieved.');
-        summary.push({ name: 'Vault Auth', info: 'Token loaded from Redis', ready: true });
+        report({ name: 'Vault Auth', info: 'Token loaded from Redis', ready: true });
     } catch (err) {
         printError(`❌ Vault token failed: ${err.message}`);
-        summary.push({ name: 'Vault Auth', info: err.message, ready: false });
+        report({ name: 'Vault Auth', info: err.message, ready: false });
     }
 
+    // Follow Warden's rotations right away instead of waiting for a refresh or a 401 —
+    // also when there is no token yet, so the first one Warden writes is picked up
+    if (process.env.VAULT_TOKEN_WATCH === 'true') watchVaultToken();
+
+    // Writes journaled during an earlier outage go out before anything reads them
+    const replayed = await replayJournal();
+    const pending = getPendingWrites().length;
+    report({
+        name: 'State Store',
+        info: `${getStoreBackend()}${replayed ? ` · replayed ${replayed} writes` : ''}${pending ? ` · ${pending} writes waiting` : ''}`,
+        ready: true
+    });
+
     // 4. 📚 Kavita Authentication
     printStep('📚 Authenticating with Kavita...');
     try {
         const success = await authenticateWithKavita();
         if (!success) throw new Error('Authentication failed');
         printResult('✅ Kavita authentication successful.');
-        summary.push({ name: 'Kavita API', info: 'Authenticated successfully', ready: true });
+        report({ name: 'Kavita API', info: 'Authenticated successfully', ready: true });
     } catch (err) {
         printError(`❌ Kavita auth failed: ${err.message}`);
-        summary.push({ name: 'Kavita API', info: err.message, ready: false });
+        report({ name: 'Kavita API', info: err.message, ready: false });
     }
 
     // 5. 🤖 Discord Bot Startup
@@ -138,14 +247,14 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
     try {
         const result = await setupDiscord();
         discordClient = result.client;
-        summary.push({
+        report({
             name: 'Discord Bot',
             info: `Client logged in (${result.commandCount} commands)`,
             ready: true
         });
     } catch (err) {
         printError(`❌ Discord bot init failed: ${err.message}`);
-        summary.push({ name: 'Discord Bot', info: err.message, ready: false });
+        report({ name: 'Discord Bot', info: err.message, ready: false });
     }
 
     // 6. 🔔 Notification Scheduler
@@ -155,16 +264,39 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
         await setupLibraryNotifications(discordClient);
         const interval = process.env.CHECK_INTERVAL_HOURS || '168';
         printDebug(`CHECK_INTERVAL_HOURS=${interval} [NODE_ENV: ${process.env.NODE_ENV}]`);
-        summary.push({
+        report({
             name: 'Library Notifier',
             info: `Initialized (interval: ${interval}hr)`,
             ready: true
         });
     } catch (err) {
         printError(`❌ Library notifier failed: ${err.message}`);
-        summary.push({ name: 'Library Notifier', info: err.message, ready: false });
+        report({ name: 'Library Notifier', info: err.message, ready: false });
+    }
+
+    // 7. 📨 Library Event Webhooks
+    printStep('📨 Registering library event webhooks...');
+    try {
+        if (!isNotifierRunning()) throw new Error('Skipped (notifier not running)');
+        setupLibraryWebhooks();
+        report({ name: 'Library Webhooks', info: `POST ${WEBHOOK_PATH}`, ready: true });
+    } catch (err) {
+        printError(`❌ Library webhooks failed: ${err.message}`);
+        report({ name: 'Library Webhooks', info: err.message, ready: false });
+    }
+
+    // 8. ⏰ Maintenance Job Scheduler
+    printStep('⏰ Starting maintenance job scheduler...');
+    try {
+        if (!discordClient) throw new Error('Skipped (no Discord client)');
+        await startJobScheduler(discordClient);
+        report({ name: 'Job Scheduler', info: `${listJobs().length} jobs scheduled`, ready: true });
+    } catch (err) {
+        printError(`❌ Job scheduler failed: ${err.message}`);
+        report({ name: 'Job Scheduler', info: err.message, ready: false });
     }
 
     // ✅ Boot Summary Table
+    markBootComplete();
     printBootSummary(summary);
 })();
@@ -0,0 +1,62 @@
+// /kavita/circuitBreaker.mjs — Stops Hammering Kavita While It Is Down
+
+/**
+ * Consecutive-failure circuit breaker.
+ *
+ * After `threshold` transient failures in a row the circuit opens and calls
+ * fail fast for `cooldownMs`. Once the cooldown has passed requests are let
+ * through again; the first success closes the circuit, the next failure
+ * reopens it for another cooldown.
+ */
+export class CircuitBreaker {
+    /**
+     * @param {{ threshold?: number, cooldownMs?: number }} [options]
+     */
+    constructor({ threshold = 5, cooldownMs = 30_000 } = {}) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openUntil = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether calls should currently fail fast
+     */
+    isOpen() {
+        return Date.now() < this.openUntil;
+    }
+
+    /**
+     * @returns {number} Milliseconds until requests are allowed again
+     */
+    retryIn() {
+        return Math.max(0, this.openUntil - Date.now());
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openUntil = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether this failure opened the circuit
+     */
+    recordFailure() {
+        this.failures++;
+        if (this.failures >= this.threshold && !this.isOpen()) {
+            this.openUntil = Date.now() + this.cooldownMs;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {{ state: 'closed'|'open'|'half-open', failures: number, retryInMs: number }}
+     */
+    getState() {
+        const state = this.isOpen()
+            ? 'open'
+            : this.failures >= this.threshold ? 'half-open' : 'closed';
+        return { state, failures: this.failures, retryInMs: this.retryIn() };
+    }
+}
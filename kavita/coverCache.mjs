@@ -0,0 +1,110 @@
+// /kavita/coverCache.mjs — Size-Bounded On-Disk Cache for Series Covers
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import kavitaAPI from './initKavita.mjs';
+import { printDebug, printError } from '../noona/logger/logUtils.mjs';
+
+const CACHE_DIR = process.env.COVER_CACHE_DIR || path.join(process.cwd(), 'cache', 'covers');
+const MAX_BYTES = (parseInt(process.env.COVER_CACHE_MAX_MB, 10) || 100) * 1024 * 1024;
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+/**
+ * 🔖 Cover version for a series — changes whenever Kavita swaps the cover.
+ * @param {object} series - Kavita SeriesDto
+ * @returns {string}
+ */
+export function getCoverVersion(series) {
+    const source = [series.coverImage, series.lastModified, series.primaryColor].filter(Boolean).join('|');
+    return crypto.createHash('sha1').update(source || 'none').digest('hex').slice(0, 12);
+}
+
+async function listEntries() {
+    try {
+        const names = await fs.readdir(CACHE_DIR);
+        const entries = await Promise.all(names.map(async name => {
+            const stat = await fs.stat(path.join(CACHE_DIR, name));
+            return { name, size: stat.size, mtimeMs: stat.mtimeMs };
+        }));
+        return entries;
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+async function findCached(seriesId, version) {
+    const prefix = `series-${seriesId}-${version}.`;
+    const entry = (await listEntries()).find(e => e.name.startsWith(prefix));
+    if (!entry) return null;
+
+    const file = path.join(CACHE_DIR, entry.name);
+    const now = new Date();
+    await fs.utimes(file, now, now);
+    return { fileName: entry.name, data: await fs.readFile(file) };
+}
+
+/**
+ * 🧹 Drop stale versions of a series' cover, then evict least recently used files over the size limit.
+ */
+async function evict(seriesId, keepName) {
+    let entries = await listEntries();
+
+    for (const entry of entries.filter(e => e.name.startsWith(`series-${seriesId}-`) && e.name !== keepName)) {
+        await fs.rm(path.join(CACHE_DIR, entry.name), { force: true });
+    }
+
+    entries = (await listEntries()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+
+    for (const entry of entries) {
+        if (total <= MAX_BYTES) break;
+        if (entry.name === keepName) continue;
+        await fs.rm(path.join(CACHE_DIR, entry.name), { force: true });
+        total -= entry.size;
+        printDebug(`[Covers] Evicted ${entry.name}`);
+    }
+}
+
+/**
+ * 🖼️ Get a series cover, from disk when cached or through the authenticated Kavita client.
+ * @param {object} series - Kavita SeriesDto
+ * @returns {Promise<{ fileName: string, data: Buffer } | null>}
+ */
+export async function getSeriesCover(series) {
+    const version = getCoverVersion(series);
+
+    try {
+        const cached = await findCached(series.id, version);
+        if (cached) {
+            printDebug(`[Covers] Cache hit for series ${series.id}`);
+            return cached;
+        }
+    } catch (err) {
+        printError(`[Covers] ❌ Cache read failed: ${err.message}`);
+    }
+
+    let image;
+    try {
+        image = await kavitaAPI.getSeriesCover(series.id);
+    } catch (err) {
+        // A missing cover should not break the view it is shown in
+        printError(`[Covers] ❌ Could not download cover for series ${series.id}: ${err.message}`);
+        return null;
+    }
+
+    const fileName = `series-${series.id}-${version}.${EXTENSIONS[image.contentType?.split(';')[0].trim()] || 'png'}`;
+
+    try {
+        await fs.mkdir(CACHE_DIR, { recursive: true });
+        await fs.writeFile(path.join(CACHE_DIR, fileName), image.data);
+        await evict(series.id, fileName);
+        printDebug(`[Covers] Cached ${fileName} (${image.data.length} bytes)`);
+    } catch (err) {
+        printError(`[Covers] ❌ Cache write failed: ${err.message}`);
+    }
+
+    return { fileName, data: image.data };
+}
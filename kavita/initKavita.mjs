@@ -3,22 +3,81 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import { printStep, printDebug, printResult, printError } from '../noona/logger/logUtils.mjs';
+import { CircuitBreaker } from './circuitBreaker.mjs';
+import { cachedRequest, invalidateAfter } from './responseCache.mjs';
+import {
+    KavitaAuthError,
+    KavitaUnavailableError,
+    isTransientError,
+    toKavitaError
+} from './kavitaErrors.mjs';
 
 dotenv.config();
 
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+};
+
+const TIMEOUT_MS = envInt('KAVITA_TIMEOUT_MS', 10_000);
+const MAX_RETRIES = envInt('KAVITA_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envInt('KAVITA_RETRY_BASE_MS', 500);
+
+// Only these methods are retried unless a call opts in with `{ idempotent: true }`.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+
+// Shared by every client: they all talk to the same Kavita server.
+const breaker = new CircuitBreaker({
+    threshold: envInt('KAVITA_BREAKER_THRESHOLD', 5),
+    cooldownMs: envInt('KAVITA_BREAKER_COOLDOWN_MS', 30_000)
+});
+
+const JSON_HEADERS = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read Kavita's `Pagination` response header, falling back to what the page itself shows.
+ * @returns {{ currentPage: number, itemsPerPage: number, totalItems: number|null, totalPages: number|null }}
+ */
+function parsePagination(header, pageNumber, pageSize, itemCount) {
+    try {
+        const { currentPage, itemsPerPage, totalItems, totalPages } = JSON.parse(header);
+        return { currentPage, itemsPerPage, totalItems, totalPages };
+    } catch {
+        return {
+            currentPage: pageNumber,
+            itemsPerPage: pageSize,
+            totalItems: null,
+            totalPages: itemCount < pageSize ? pageNumber : null
+        };
+    }
+}
+
 class KavitaAPI {
-    constructor() {
+    /**
+     * @param {string} [apiKey]
+     * @param {{ cache?: boolean }} [options] - `cache: false` for clients whose responses are per-user
+     */
+    constructor(apiKey = process.env.KAVITA_API_KEY, { cache = true } = {}) {
         this.baseUrl = process.env.KAVITA_URL;
-        this.apiKey = process.env.KAVITA_API_KEY;
+        this.apiKey = apiKey;
+        this.cache = cache;
         this.jwtToken = null;
+        this.username = null;
     }
 
+    /**
+     * Authenticate and report the outcome as a boolean (used at boot).
+     * @returns {Promise<boolean>}
+     */
     async authenticate() {
-        const url = `${this.baseUrl}/api/Plugin/authenticate?apiKey=${this.apiKey}&pluginName=NoonaPortal`;
         printStep('[Kavita] Authenticating with Kavita...');
         try {
-            const res = await axios.post(url);
-            this.jwtToken = res.data.token;
+            await this.login();
             printResult('[Kavita] ✅ Authentication successful');
             return true;
         } catch (err) {
@@ -27,66 +86,221 @@ class KavitaAPI {
         }
     }
 
-    async fetchData(endpoint, method = 'GET', data = null, queryParams = null) {
-        if (!this.jwtToken) {
-            printDebug('[Kavita] No token cached — authenticating...');
-            const authSuccess = await this.authenticate();
-            if (!authSuccess) {
-                printError('[Kavita] ❌ Failed to authenticate before request');
-                return null;
-            }
-        }
-
-        let url = `${this.baseUrl}${endpoint}`;
-        if (queryParams) {
-            const params = new URLSearchParams(queryParams).toString();
-            url += `?${params}`;
+    /**
+     * Exchange the API key for a JWT.
+     * @throws {import('./kavitaErrors.mjs').KavitaError}
+     */
+    async login() {
+        const endpoint = '/api/Plugin/authenticate';
+        this.assertCircuitClosed(endpoint);
+        try {
+            const res = await axios.post(`${this.baseUrl}${endpoint}`, null, {
+                params: { apiKey: this.apiKey, pluginName: 'NoonaPortal' },
+                timeout: TIMEOUT_MS
+            });
+            breaker.recordSuccess();
+            this.jwtToken = res.data.token;
+            this.username = res.data.username || null;
+        } catch (err) {
+            throw this.recordError(toKavitaError(err, endpoint));
         }
+    }
 
+    /**
+     * Call a Kavita JSON endpoint.
+     *
+     * GET requests (and calls marked `idempotent`) are retried with exponential
+     * backoff on network errors, timeouts, 429 and 5xx responses. An expired
+     * token is refreshed once. Failures throw a typed error from kavitaErrors.mjs.
+     *
+     * Reads covered by a policy in responseCache.mjs are served from cache;
+     * state-changing requests drop the cached data they make stale.
+     *
+     * @param {string} endpoint
+     * @param {string} [method]
+     * @param {object|null} [data]
+     * @param {object|null} [queryParams]
+     * @param {{ idempotent?: boolean, cache?: boolean }} [options]
+     * @returns {Promise<any>} Response body
+     */
+    async fetchData(endpoint, method = 'GET', data = null, queryParams = null, { idempotent, cache = true } = {}) {
         const config = {
             method,
-            url,
-            headers: {
-                Accept: 'application/json',
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${this.jwtToken}`
-            }
+            params: queryParams || undefined,
+            headers: JSON_HEADERS
         };
 
         if (data && (method === 'POST' || method === 'PUT')) {
             config.data = data;
         }
 
+        const readOnly = idempotent ?? IDEMPOTENT_METHODS.has(method);
+        const load = async () => (await this.request(endpoint, config, readOnly)).data;
+
+        if (!readOnly) {
+            const result = await load();
+            invalidateAfter(method, endpoint);
+            return result;
+        }
+
+        return this.cache && cache
+            ? cachedRequest({ method, endpoint, queryParams, data }, load)
+            : load();
+    }
+
+    /**
+     * POST to one of Kavita's paged list endpoints (read-only, cached like fetchData).
+     * Page numbers start at 1.
+     *
+     * @param {string} endpoint
+     * @param {object} data - Request body (e.g. a FilterV2)
+     * @param {number} [pageNumber]
+     * @param {number} [pageSize]
+     * @param {{ cache?: boolean }} [options]
+     * @returns {Promise<{ items: Array<object>, pagination: { currentPage: number, itemsPerPage: number, totalItems: number|null, totalPages: number|null } }>}
+     */
+    async fetchPage(endpoint, data, pageNumber = 1, pageSize = 25, { cache = true } = {}) {
+        const queryParams = { PageNumber: pageNumber, PageSize: pageSize };
+        const load = async () => {
+            const res = await this.request(endpoint, { method: 'POST', params: queryParams, data, headers: JSON_HEADERS }, true);
+            const items = Array.isArray(res.data) ? res.data : [];
+            return { items, pagination: parsePagination(res.headers.pagination, pageNumber, pageSize, items.length) };
+        };
+
+        return this.cache && cache
+            ? cachedRequest({ method: 'POST', endpoint, queryParams, data }, load)
+            : load();
+    }
+
+    /**
+     * Fetch an image endpoint. Kavita's image endpoints authorize by API key;
+     * the request stays server-side.
+     * @returns {Promise<{ data: Buffer, contentType: string }>}
+     */
+    async fetchImage(endpoint, queryParams = {}) {
+        const res = await this.request(endpoint, {
+            method: 'GET',
+            params: { ...queryParams, apiKey: this.apiKey },
+            responseType: 'arraybuffer'
+        }, true);
+        return {
+            data: Buffer.from(res.data),
+            contentType: res.headers['content-type'] || 'image/png'
+        };
+    }
+
+    /**
+     * Send a request, retrying transient failures when `retryable`.
+     * @returns {Promise<import('axios').AxiosResponse>}
+     */
+    async request(endpoint, config, retryable) {
+        const retries = retryable ? MAX_RETRIES : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, config);
+            } catch (err) {
+                if (!isTransientError(err) || attempt >= retries || breaker.isOpen()) {
+                    printError(`[Kavita] ❌ Request to ${endpoint} failed:`, err.message);
+                    throw err;
+                }
+                const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+                printDebug(`[Kavita] ${err.message} — retrying ${endpoint} in ${delay}ms (${attempt + 1}/${retries})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Send a single request, refreshing the token once on 401.
+     */
+    async send(endpoint, config, reauthenticated = false) {
+        if (!this.jwtToken) {
+            printDebug('[Kavita] No token cached — authenticating...');
+            await this.login();
+        }
+
+        this.assertCircuitClosed(endpoint);
         try {
-            const res = await axios(config);
-            return res.data;
+            const res = await axios({
+                ...config,
+                url: `${this.baseUrl}${endpoint}`,
+                timeout: TIMEOUT_MS,
+                headers: { ...config.headers, Authorization: `Bearer ${this.jwtToken}` }
+            });
+            breaker.recordSuccess();
+            return res;
         } catch (err) {
-            if (err.response?.status === 401) {
+            const error = this.recordError(toKavitaError(err, endpoint));
+            if (error instanceof KavitaAuthError && error.status === 401 && !reauthenticated) {
                 printDebug('[Kavita] Token expired — reauthenticating...');
-                const authSuccess = await this.authenticate();
-                if (!authSuccess) {
-                    printError('[Kavita] ❌ Failed to re-authenticate after token expiration');
-                    return null;
-                }
-                config.headers.Authorization = `Bearer ${this.jwtToken}`;
-                const retry = await axios(config);
-                return retry.data;
+                this.jwtToken = null;
+                return this.send(endpoint, config, true);
+            }
+            throw error;
+        }
+    }
+
+    assertCircuitClosed(endpoint) {
+        if (breaker.isOpen()) {
+            throw new KavitaUnavailableError(
+                `Kavita is unavailable (circuit open, retrying in ${Math.ceil(breaker.retryIn() / 1000)}s)`,
+                { endpoint }
+            );
+        }
+    }
+
+    /**
+     * Feed the circuit breaker: only transient errors count as failures,
+     * any other answer proves Kavita is up.
+     */
+    recordError(error) {
+        if (isTransientError(error)) {
+            if (breaker.recordFailure()) {
+                printError(`[Kavita] ⚡ Circuit opened after ${breaker.failures} consecutive failures`);
             }
-            printError(`[Kavita] ❌ Request to ${endpoint} failed:`, err.message);
-            return null;
+        } else {
+            breaker.recordSuccess();
         }
+        return error;
     }
 
-    async getLibraries() {
-        return await this.fetchData('/api/Library/libraries');
+    async getSeriesCover(seriesId) {
+        return await this.fetchImage('/api/Image/series-cover', { seriesId });
+    }
+
+    async getLibraries({ cache = true } = {}) {
+        return await this.fetchData('/api/Library/libraries', 'GET', null, null, { cache });
     }
 
     async searchSeries(term) {
         return await this.fetchData('/api/Search/search', 'GET', null, {
-            queryString: encodeURIComponent(term)
+            queryString: term
         });
     }
 
+    async filterSeries(filter, pageNumber = 1, pageSize = 25) {
+        const { items } = await this.getSeriesPage(filter, pageNumber, pageSize);
+        return items;
+    }
+
+    /**
+     * One page of series matching a FilterV2 (see kavitaFilters.mjs), with Kavita's page counts.
+     */
+    async getSeriesPage(filter, pageNumber = 1, pageSize = 25, options = {}) {
+        return await this.fetchPage('/api/Series/all-v2', { combination: 1, limitTo: 0, ...filter }, pageNumber, pageSize, options);
+    }
+
+    async getGenres(libraryId = null) {
+        const result = await this.fetchData('/api/Metadata/genres', 'GET', null, libraryId ? { libraryIds: libraryId } : null);
+        return Array.isArray(result) ? result : [];
+    }
+
+    async getReadingListItems(readingListId) {
+        const result = await this.fetchData('/api/ReadingList/items', 'GET', null, { readingListId });
+        return Array.isArray(result) ? result : [];
+    }
+
     async getRecentlyAdded(libraryId = null, days = 7) {
         const endpoint = libraryId
             ? `/api/Series/recently-added?libraryId=${libraryId}&days=${days}`
@@ -104,6 +318,79 @@ class KavitaAPI {
         const user = users.find(u => u.email === email);
         return user?.id || null;
     }
+
+    async getUsers() {
+        const users = await this.fetchData('/api/Users');
+        return Array.isArray(users) ? users : [];
+    }
+
+    /**
+     * Kavita has no member-by-ID endpoint, so this reads the user list, which the
+     * response cache shares between lookups. Prefer `getMyself` on a user client.
+     */
+    async getUserById(userId) {
+        const users = await this.getUsers();
+        return users.find(u => u.id === parseInt(userId, 10)) || null;
+    }
+
+    async getUserReadStats(userId) {
+        return await this.fetchData(`/api/Stats/user/${userId}/read`);
+    }
+
+    async getReadingHistory(userId) {
+        const result = await this.fetchData('/api/Stats/user/reading-history', 'GET', null, { userId });
+        return Array.isArray(result) ? result : [];
+    }
+
+    // The calls below return data for the authenticated user, so use them on a user client.
+
+    /**
+     * The authenticated user's own member record.
+     * @returns {Promise<object|null>}
+     */
+    async getMyself() {
+        const result = await this.fetchData('/api/Users/myself');
+        return (Array.isArray(result) ? result[0] : result) || null;
+    }
+
+    async getOnDeck(pageSize = 5) {
+        const result = await this.fetchData(
+            `/api/Series/on-deck?libraryId=0&PageNumber=1&PageSize=${pageSize}`,
+            'POST',
+            {},
+            null,
+            { idempotent: true }
+        );
+        return Array.isArray(result) ? result : [];
+    }
+
+    async getWantToRead(pageSize = 5) {
+        const result = await this.fetchData(
+            `/api/want-to-read/v2?PageNumber=1&PageSize=${pageSize}`,
+            'POST',
+            { statements: [], combination: 1, limitTo: 0 },
+            null,
+            { idempotent: true }
+        );
+        return Array.isArray(result) ? result : [];
+    }
+}
+
+/**
+ * 🔑 Create a client that acts as a specific Kavita user (authenticated with their own API key).
+ * @param {string} apiKey
+ * @returns {KavitaAPI}
+ */
+export function createUserClient(apiKey) {
+    return new KavitaAPI(apiKey, { cache: false });
+}
+
+/**
+ * 🩺 Current circuit breaker state for health reporting.
+ * @returns {{ state: 'closed'|'open'|'half-open', failures: number, retryInMs: number }}
+ */
+export function getKavitaCircuitState() {
+    return breaker.getState();
 }
 
 const instance = new KavitaAPI();
@@ -111,6 +398,9 @@ export default instance;
 export const authenticateWithKavita = () => instance.authenticate();
 export const getLibraries = () => instance.getLibraries();
 export const searchSeries = (term) => instance.searchSeries(term);
+export const filterSeries = (filter, pageNumber, pageSize) => instance.filterSeries(filter, pageNumber, pageSize);
+export const getReadingListItems = (readingListId) => instance.getReadingListItems(readingListId);
+export const getSeriesCover = (seriesId) => instance.getSeriesCover(seriesId);
 export const getRecentlyAdded = (libraryId, days) => instance.getRecentlyAdded(libraryId, days);
 export const getUserRoles = (userId) => instance.getUserRoles(userId);
 export const getUserIdByEmail = (email) => instance.getUserIdByEmail(email);
@@ -0,0 +1,113 @@
+// /kavita/kavitaErrors.mjs — Typed Errors Thrown by the Kavita Client
+
+/**
+ * Base error for any failed Kavita request.
+ */
+export class KavitaError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ status?: number|null, endpoint?: string|null, cause?: Error }} [details]
+     */
+    constructor(message, { status = null, endpoint = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'KavitaError';
+        this.status = status;
+        this.endpoint = endpoint;
+    }
+}
+
+/**
+ * Kavita rejected the API key or token (401/403).
+ */
+export class KavitaAuthError extends KavitaError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'KavitaAuthError';
+    }
+}
+
+/**
+ * The requested resource does not exist (404).
+ */
+export class KavitaNotFoundError extends KavitaError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'KavitaNotFoundError';
+    }
+}
+
+/**
+ * Kavita could not be reached, timed out, answered with a 5xx/429,
+ * or the circuit breaker is open.
+ */
+export class KavitaUnavailableError extends KavitaError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'KavitaUnavailableError';
+    }
+}
+
+/**
+ * Kavita refused the request payload (400/409/422).
+ */
+export class KavitaValidationError extends KavitaError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'KavitaValidationError';
+    }
+}
+
+/**
+ * 🔁 Whether a failure is worth retrying (network error, timeout, 429 or 5xx).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+    return err instanceof KavitaUnavailableError;
+}
+
+/**
+ * 🧭 Convert an axios error into the matching typed Kavita error.
+ * @param {Error} err
+ * @param {string} endpoint
+ * @returns {KavitaError}
+ */
+export function toKavitaError(err, endpoint) {
+    if (err instanceof KavitaError) return err;
+
+    const status = err.response?.status ?? null;
+    const details = { status, endpoint, cause: err };
+
+    if (!err.response) {
+        const reason = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT'
+            ? 'timed out'
+            : `is unreachable (${err.code || err.message})`;
+        return new KavitaUnavailableError(`Kavita ${reason}`, details);
+    }
+
+    const body = err.response.data;
+    const reason = typeof body === 'string' && body.length && body.length < 300 && !body.includes('<html')
+        ? body
+        : body?.message || body?.title || err.message;
+
+    if (status === 401 || status === 403) return new KavitaAuthError(`Kavita rejected the credentials: ${reason}`, details);
+    if (status === 404) return new KavitaNotFoundError(`Not found in Kavita: ${endpoint}`, details);
+    if (status === 400 || status === 409 || status === 422) return new KavitaValidationError(reason, details);
+    if (status === 429 || status >= 500) return new KavitaUnavailableError(`Kavita is unavailable (HTTP ${status})`, details);
+    return new KavitaError(`Kavita request failed (HTTP ${status}): ${reason}`, details);
+}
+
+/**
+ * 💬 Turn any error into a short message that can be shown to a Discord user.
+ * @param {Error} err
+ * @param {string} [subject] - What was being looked up, used for not-found errors
+ * @returns {string}
+ */
+export function describeKavitaError(err, subject = 'That item') {
+    if (err instanceof KavitaUnavailableError) return '⚠️ Kavita is unreachable right now. Please try again later.';
+    if (err instanceof KavitaAuthError) return '🔒 Kavita rejected the bot\'s credentials. An admin needs to check the API key.';
+    if (err instanceof KavitaNotFoundError) return `❌ ${subject} was not found in Kavita.`;
+    if (err instanceof KavitaValidationError) return `❌ Kavita rejected the request: ${err.message}`;
+    if (err instanceof KavitaError) return `❌ ${err.message}`;
+    return '❌ An unexpected error occurred. Please try again later.';
+}
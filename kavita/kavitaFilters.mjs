@@ -0,0 +1,58 @@
+// /kavita/kavitaFilters.mjs — Kavita FilterV2 Enums and Builders for /api/Series/all-v2
+
+/**
+ * Kavita FilterField values.
+ */
+export const FilterField = {
+    Tags: 6, CollectionTags: 7, Translators: 8, Characters: 9, Publisher: 10, Editor: 11,
+    CoverArtist: 12, Letterer: 13, Colorist: 14, Inker: 15, Penciller: 16, Writers: 17,
+    Genres: 18, Libraries: 19, Formats: 21
+};
+
+export const FilterComparison = { Equal: 0, Contains: 5 };
+export const FilterCombination = { Or: 0, And: 1 };
+
+/**
+ * Kavita SortField values.
+ */
+export const SortField = { SortName: 1, CreatedDate: 2, LastModifiedDate: 3, LastChapterAdded: 4 };
+
+/**
+ * Kavita MangaFormat values.
+ */
+export const MangaFormat = { Image: 0, Archive: 1, Unknown: 2, Epub: 3, Pdf: 4 };
+
+/**
+ * Sort orders offered when browsing a library.
+ */
+export const seriesSorts = {
+    recent: { label: 'Recently added', sortField: SortField.CreatedDate, isAscending: false },
+    updated: { label: 'Recently updated', sortField: SortField.LastChapterAdded, isAscending: false },
+    alpha: { label: 'Alphabetical', sortField: SortField.SortName, isAscending: true }
+};
+
+/**
+ * 🧱 Build a FilterV2 body for one library.
+ *
+ * @param {{ libraryId: number|string, sort?: string, format?: number|null, genreId?: number|null }} options
+ * @returns {object}
+ */
+export function buildLibraryFilter({ libraryId, sort = 'recent', format = null, genreId = null }) {
+    const statements = [
+        { comparison: FilterComparison.Contains, field: FilterField.Libraries, value: String(libraryId) }
+    ];
+    if (format !== null && format !== undefined) {
+        statements.push({ comparison: FilterComparison.Contains, field: FilterField.Formats, value: String(format) });
+    }
+    if (genreId !== null && genreId !== undefined) {
+        statements.push({ comparison: FilterComparison.Contains, field: FilterField.Genres, value: String(genreId) });
+    }
+
+    const { sortField, isAscending } = seriesSorts[sort] || seriesSorts.recent;
+    return {
+        statements,
+        combination: FilterCombination.And,
+        sortOptions: { sortField, isAscending },
+        limitTo: 0
+    };
+}
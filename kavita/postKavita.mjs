@@ -3,26 +3,66 @@
 import { EmbedBuilder } from 'discord.js';
 import { printStep, printDebug, printResult, printError } from '../noona/logger/logUtils.mjs';
 import kavitaAPI from './initKavita.mjs';
+import { buildLibraryFilter } from './kavitaFilters.mjs';
+import { resolveLibraryRoute } from '../discord/tasks/notificationRoutes.mjs';
+import { listGuildConfigs } from '../discord/guildConfig.mjs';
 
 export async function updateUserRoles(userId, roles) {
-    return await kavitaAPI.fetchData(`/api/Users/${userId}/update-roles`, 'POST', { roles });
+    const member = await kavitaAPI.getUserById(userId);
+    if (!member) return null;
+    return await updateKavitaUser(member, { roles });
 }
 
-export async function getSeriesByLibrary(libraryId) {
-    const result = await kavitaAPI.fetchData('/api/Series/all-v2', 'POST', { libraryId: parseInt(libraryId) });
-    return Array.isArray(result)
-        ? result.filter(series => series.libraryId === parseInt(libraryId))
-        : [];
+/**
+ * ✏️ Update a Kavita user, keeping every field that is not being changed.
+ * @param {object} member - Kavita MemberDto (from /api/Users)
+ * @param {{ roles?: string[], libraries?: number[], ageRestriction?: { ageRating: number, includeUnknowns: boolean } }} changes
+ */
+export async function updateKavitaUser(member, changes = {}) {
+    const payload = {
+        userId: member.id,
+        username: member.username,
+        email: member.email,
+        roles: changes.roles ?? member.roles ?? [],
+        libraries: changes.libraries ?? (member.libraries || []).map(lib => lib.id),
+        ageRestriction: changes.ageRestriction ?? member.ageRestriction ?? { ageRating: -1, includeUnknowns: true }
+    };
+    await kavitaAPI.fetchData('/api/Account/update', 'POST', payload);
+    return true;
+}
+
+export async function deleteKavitaUser(username) {
+    await kavitaAPI.fetchData('/api/Users/delete-user', 'DELETE', null, { username });
+    return true;
+}
+
+export async function resendInvite(userId) {
+    const res = await kavitaAPI.fetchData('/api/Account/resend-confirmation-email', 'POST', null, { userId });
+    if (typeof res !== 'string') return null;
+    return res.startsWith('http') ? res : `${kavitaAPI.baseUrl}/invite?token=${res}`;
 }
 
 export async function scanLibrary(libraryId) {
     return await kavitaAPI.fetchData(`/api/Library/scan`, 'POST', null, { libraryId: parseInt(libraryId) });
 }
 
+/**
+ * 📚 Library IDs listed in KAVITA_LIBRARY_IDS.
+ * @returns {number[]}
+ */
+export function getConfiguredLibraryIds() {
+    return process.env.KAVITA_LIBRARY_IDS?.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id)) || [];
+}
+
+/**
+ * 🔄 Queue a forced scan of every library in KAVITA_LIBRARY_IDS.
+ * @returns {Promise<number>} Number of libraries queued (0 when none are configured)
+ */
 export async function scanAllLibraries() {
-    const ids = process.env.KAVITA_LIBRARY_IDS?.split(',').map(id => parseInt(id.trim())) || [];
-    if (!ids.length) return null;
-    return await kavitaAPI.fetchData('/api/Library/scan-multiple', 'POST', { ids, force: true });
+    const ids = getConfiguredLibraryIds();
+    if (!ids.length) return 0;
+    await kavitaAPI.fetchData('/api/Library/scan-multiple', 'POST', { ids, force: true });
+    return ids.length;
 }
 
 export async function scanSingleLibrary(libraryId, force = false) {
@@ -30,14 +70,59 @@ export async function scanSingleLibrary(libraryId, force = false) {
     return await kavitaAPI.fetchData(url, 'POST');
 }
 
-export async function createUser(email) {
-    const libraryIds = process.env.KAVITA_LIBRARY_IDS?.split(',').map(id => parseInt(id.trim())) || [];
-    const payload = {
-        email,
-        roles: ['User', 'Login', 'Change Password', 'Bookmark'],
-        libraries: libraryIds,
-        ageRestriction: { ageRating: 0, includeUnknowns: true }
+/**
+ * Kavita server maintenance endpoints, keyed by task name. `jobId` is the
+ * Kavita background job whose last run shows when a queued task finished;
+ * tasks without one finish before Kavita answers.
+ */
+export const SERVER_TASKS = {
+    'clear-cache': { label: 'Clear Cache', endpoint: '/api/Server/clear-cache' },
+    'cleanup': { label: 'Cleanup', endpoint: '/api/Server/cleanup', jobId: 'cleanup' },
+    'backup-db': { label: 'Database Backup', endpoint: '/api/Server/backup-db', jobId: 'backup' }
+};
+
+/**
+ * 🕒 When one of Kavita's background jobs last finished.
+ * @param {string} jobId - e.g. "cleanup", "backup"
+ * @returns {Promise<string|null|undefined>} Last run time, null when it never ran, undefined when Kavita doesn't list the job
+ */
+export async function getServerJobLastRun(jobId) {
+    const jobs = await kavitaAPI.fetchData('/api/Server/jobs', 'GET', null, null, { cache: false });
+    const job = Array.isArray(jobs) ? jobs.find(entry => entry.id === jobId) : null;
+    return job ? job.lastExecutionUtc ?? null : undefined;
+}
+
+/**
+ * 🧰 Start one of Kavita's server maintenance tasks.
+ * @param {keyof SERVER_TASKS} task
+ */
+export async function runServerTask(task) {
+    const { endpoint } = SERVER_TASKS[task];
+    return await kavitaAPI.fetchData(endpoint, 'POST');
+}
+
+/**
+ * 🎟️ Roles, libraries and age rating granted to invited users.
+ * KAVITA_INVITE_* variables override the defaults; libraries fall back to KAVITA_LIBRARY_IDS.
+ */
+export function getInviteSettings() {
+    const list = value => value?.split(',').map(item => item.trim()).filter(Boolean) || [];
+    const ageRating = parseInt(process.env.KAVITA_INVITE_AGE_RATING, 10);
+
+    return {
+        roles: process.env.KAVITA_INVITE_ROLES
+            ? list(process.env.KAVITA_INVITE_ROLES)
+            : ['User', 'Login', 'Change Password', 'Bookmark'],
+        libraries: list(process.env.KAVITA_INVITE_LIBRARY_IDS || process.env.KAVITA_LIBRARY_IDS).map(id => parseInt(id)),
+        ageRestriction: {
+            ageRating: isNaN(ageRating) ? 0 : ageRating,
+            includeUnknowns: process.env.KAVITA_INVITE_INCLUDE_UNKNOWNS !== 'false'
+        }
     };
+}
+
+export async function createUser(email) {
+    const payload = { email, ...getInviteSettings() };
     const res = await kavitaAPI.fetchData('/api/Account/invite', 'POST', payload);
     if (!res) return null;
     if (res.emailLink) return res.emailLink;
@@ -47,59 +132,485 @@ export async function createUser(email) {
     return null;
 }
 
-export async function checkForNewItems(libraryId, lookbackDays = null) {
-    const allSeries = await getSeriesByLibrary(libraryId);
-    if (!Array.isArray(allSeries)) return [];
+// Chapters created this soon after their series belong to the initial import,
+// which is already covered by the "New Series Added" announcement.
+const INITIAL_IMPORT_GRACE_MS = 60 * 60 * 1000;
+
+// Kavita's placeholder numbers for chapters without a volume and for specials.
+const LOOSE_LEAF_NUMBER = -100000;
+const SPECIAL_VOLUME_NUMBER = 100000;
+
+/**
+ * 🕰️ Start of the notifier's lookback window (KAVITA_LOOKBACK_HOURS).
+ * @param {number|null} [lookbackDays] - Overrides the env setting
+ * @returns {Date}
+ */
+export function getLookbackCutoff(lookbackDays = null) {
     const hours = parseInt(process.env.KAVITA_LOOKBACK_HOURS, 10) || 168;
     const days = lookbackDays || hours / 24;
-    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    return allSeries.filter(series => {
-        const created = new Date(series.created);
-        return created >= cutoff;
-    });
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 }
 
-export async function sendNewItemNotifications(discordClient, notifiedIds) {
-    const channelId = process.env.NOTIFICATION_CHANNEL_ID;
-    if (!channelId) {
-        printError('[Kavita] ❌ NOTIFICATION_CHANNEL_ID not set');
-        return [];
+// Series per request when paging a library for the notifier.
+const NOTIFIER_PAGE_SIZE = 100;
+
+/**
+ * 📄 Page through a library newest-first and stop at the first series older than the cutoff,
+ * so only the recent end of a large library is downloaded.
+ *
+ * @param {number} libraryId
+ * @param {'recent'|'updated'} sort - Sort order from kavitaFilters.mjs
+ * @param {'created'|'lastChapterAdded'} dateField - Date the sort is based on
+ * @param {Date} cutoff
+ * @returns {Promise<Array<object>>}
+ */
+export async function getSeriesSince(libraryId, sort, dateField, cutoff) {
+    const filter = buildLibraryFilter({ libraryId, sort });
+    const series = [];
+
+    for (let page = 1; ; page++) {
+        const { items, pagination } = await kavitaAPI.getSeriesPage(filter, page, NOTIFIER_PAGE_SIZE);
+        const recent = items.filter(item => item[dateField] && new Date(item[dateField]) >= cutoff);
+        series.push(...recent);
+
+        const lastPage = pagination.totalPages
+            ? page >= pagination.totalPages
+            : items.length < NOTIFIER_PAGE_SIZE;
+        if (lastPage || recent.length < items.length) break;
     }
-    const channel = await discordClient.channels.fetch(channelId);
-    if (!channel) {
-        printError(`[Kavita] ❌ Discord channel not found: ${channelId}`);
-        return [];
+
+    return series;
+}
+
+export async function checkForNewItems(libraryId, lookbackDays = null) {
+    return await getSeriesSince(libraryId, 'recent', 'created', getLookbackCutoff(lookbackDays));
+}
+
+export async function getSeriesVolumes(seriesId) {
+    const result = await kavitaAPI.fetchData('/api/Series/volumes', 'GET', null, { seriesId });
+    return Array.isArray(result) ? result : [];
+}
+
+function isRealVolume(volume) {
+    const number = volume.minNumber ?? volume.number;
+    return number > 0 && number < SPECIAL_VOLUME_NUMBER;
+}
+
+export function formatVolumeLabel(volume) {
+    return volume.name && isNaN(Number(volume.name))
+        ? volume.name
+        : `Volume ${volume.minNumber ?? volume.number}`;
+}
+
+export function formatChapterLabel(chapter, volume = null) {
+    if (chapter.isSpecial) return chapter.title || chapter.range || 'Special';
+    const number = chapter.minNumber ?? chapter.number;
+    if (parseFloat(number) <= LOOSE_LEAF_NUMBER || chapter.range === String(LOOSE_LEAF_NUMBER)) {
+        return volume ? formatVolumeLabel(volume) : chapter.title || 'New release';
     }
-    const libraries = await kavitaAPI.fetchData('/api/Library/libraries');
-    if (!libraries?.length) return [];
-    let newItems = [];
-    for (const library of libraries) {
-        const items = await checkForNewItems(library.id);
-        const fresh = (items || []).filter(item => !notifiedIds.has(item.id));
-        for (const item of fresh) {
-            newItems.push({ ...item, libraryName: library.name });
+    return `Chapter ${chapter.range || number}`;
+}
+
+/**
+ * 🆕 Find volumes and chapters added to existing series since the cutoff.
+ * A volume is announced as a whole when all of its chapters are new;
+ * otherwise each new chapter is announced on its own.
+ *
+ * @param {Array<object>} allSeries - Series of one library
+ * @param {(key: string) => boolean} isAnnounced - Whether a key ("volume:<id>", "chapter:<id>") was already announced
+ * @param {Date} cutoff
+ * @returns {Promise<Array<{ seriesId: number, seriesName: string, created: string, labels: string[], keys: string[] }>>}
+ */
+export async function checkForNewReleases(allSeries, isAnnounced, cutoff) {
+    const releases = [];
+    const updated = allSeries.filter(series =>
+        series.lastChapterAdded && new Date(series.lastChapterAdded) >= cutoff
+    );
+
+    for (const series of updated) {
+        const importedUntil = new Date(new Date(series.created).getTime() + INITIAL_IMPORT_GRACE_MS);
+        const isFresh = item =>
+            new Date(item.created) >= cutoff && new Date(item.created) > importedUntil;
+
+        const labels = [];
+        const keys = [];
+        let latest = null;
+
+        for (const volume of await getSeriesVolumes(series.id)) {
+            const chapters = volume.chapters || [];
+            const freshChapters = chapters.filter(ch => isFresh(ch) && !isAnnounced(`chapter:${ch.id}`));
+            if (!freshChapters.length) continue;
+
+            const wholeVolume = isRealVolume(volume)
+                && !isAnnounced(`volume:${volume.id}`)
+                && freshChapters.length === chapters.length;
+
+            if (wholeVolume) {
+                labels.push(formatVolumeLabel(volume));
+                keys.push(`volume:${volume.id}`);
+            } else {
+                labels.push(...freshChapters.map(ch => formatChapterLabel(ch, volume)));
+            }
+            keys.push(...freshChapters.map(ch => `chapter:${ch.id}`));
+
+            for (const ch of freshChapters) {
+                if (!latest || new Date(ch.created) > new Date(latest)) latest = ch.created;
+            }
+        }
+
+        if (labels.length) {
+            releases.push({ seriesId: series.id, seriesName: series.name, created: latest, labels, keys });
         }
     }
-    if (!newItems.length) return [];
-    newItems.sort((a, b) => new Date(b.created) - new Date(a.created));
-    const batches = Array.from({ length: Math.ceil(newItems.length / 10) }, (_, i) =>
-        newItems.slice(i * 10, i * 10 + 10)
+
+    return releases;
+}
+
+async function fetchChannel(discordClient, channelId) {
+    try {
+        const channel = await discordClient.channels.fetch(channelId);
+        if (channel) return channel;
+    } catch (err) {
+        printDebug(`[Kavita] Channel fetch failed for ${channelId}: ${err.message}`);
+    }
+    printError(`[Kavita] ❌ Discord channel not found: ${channelId}`);
+    return null;
+}
+
+// Items per batched announcement embed; each item is one field.
+const FIELDS_PER_EMBED = 10;
+
+function toBatches(items, size = FIELDS_PER_EMBED) {
+    return Array.from({ length: Math.ceil(items.length / size) }, (_, i) =>
+        items.slice(i * size, i * size + size)
     );
-    for (let i = 0; i < batches.length; i++) {
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+const seriesField = item => item.name;
+const releaseTitle = release => `${release.seriesName} — ${release.labels.join(', ')} added`;
+const releaseField = release => truncate(releaseTitle(release), 256);
+
+function buildSeriesEmbeds(items) {
+    const batches = toBatches(items);
+    return batches.map((batch, i) => {
         const embed = new EmbedBuilder()
             .setColor('#0099ff')
             .setTitle(`📚 New Series Added (${i + 1}/${batches.length})`)
-            .setDescription(`${newItems.length} new series have been added to the library!`)
+            .setDescription(`${items.length} new series have been added to the library!`)
             .setTimestamp();
-        batches[i].forEach(item => {
+        batch.forEach(item => {
             embed.addFields({
-                name: item.name,
+                name: seriesField(item),
                 value: `**Library:** ${item.libraryName}\n**Added:** ${new Date(item.created).toLocaleDateString()}`,
                 inline: false
             });
-            notifiedIds.add(item.id);
         });
-        await channel.send({ embeds: [embed] });
+        return embed;
+    });
+}
+
+function buildReleaseEmbeds(releases) {
+    const batches = toBatches(releases);
+    return batches.map((batch, i) => {
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`📖 New Releases (${i + 1}/${batches.length})`)
+            .setDescription(`${releases.length} series have new chapters or volumes!`)
+            .setTimestamp();
+        batch.forEach(release => {
+            embed.addFields({
+                name: releaseField(release),
+                value: `**Library:** ${release.libraryName}\n**Added:** ${new Date(release.created).toLocaleDateString()}`,
+                inline: false
+            });
+        });
+        return embed;
+    });
+}
+
+/**
+ * 📬 Send embeds to one channel, one message each, mentioning the given roles on the first message.
+ * @param {(index: number, messageId: string) => Promise<void>} [onSent] - Called after each message, before the next is sent
+ * @returns {Promise<string[]|null>} IDs of the sent messages, or null when the channel is unavailable
+ */
+async function deliverEmbeds(discordClient, channelId, roleIds, embeds, onSent = null) {
+    const channel = await fetchChannel(discordClient, channelId);
+    if (!channel) return null;
+
+    // A role can only be mentioned in its own guild
+    roleIds = roleIds.filter(id => channel.guild?.roles.cache.has(id));
+
+    const messageIds = [];
+    for (let i = 0; i < embeds.length; i++) {
+        const mention = i === 0 && roleIds.length;
+        const message = await channel.send({
+            content: mention ? roleIds.map(id => `<@&${id}>`).join(' ') : undefined,
+            embeds: [embeds[i]],
+            allowedMentions: { roles: mention ? roleIds : [] }
+        });
+        messageIds.push(message.id);
+        await onSent?.(i, message.id);
+    }
+    return messageIds;
+}
+
+/**
+ * 🗂️ Announcement record for a new series or release, without its messages yet.
+ */
+function toAnnouncement(kind, item) {
+    const series = kind === 'series';
+    return {
+        id: series ? `series:${item.id}` : item.keys[0],
+        kind,
+        keys: series ? [`series:${item.id}`] : item.keys,
+        title: series ? item.name : releaseTitle(item),
+        seriesId: series ? item.id : item.seriesId,
+        libraryId: item.libraryId ?? null,
+        libraryName: item.libraryName ?? null,
+        created: item.created ?? null,
+        messages: []
+    };
+}
+
+/**
+ * 🧭 Group items by destination channel using each library's route.
+ * @returns {Map<string, { series: object[], releases: object[], roleIds: Set<string> }>}
+ */
+function groupByChannel(discordClient, newItems, newReleases) {
+    const deliveries = new Map();
+    const add = (kind, item) => {
+        const { channelIds, roleId } = resolveLibraryRoute(item.libraryId, discordClient);
+        if (!channelIds.length) {
+            printError(`[Kavita] ❌ No notification channel for library ${item.libraryId} (set a notification channel with /admin setup)`);
+        }
+        for (const channelId of channelIds) {
+            if (!deliveries.has(channelId)) {
+                deliveries.set(channelId, { series: [], releases: [], roleIds: new Set() });
+            }
+            const delivery = deliveries.get(channelId);
+            delivery[kind].push(item);
+            if (roleId) delivery.roleIds.add(roleId);
+        }
+    };
+    newItems.forEach(item => add('series', item));
+    newReleases.forEach(release => add('releases', release));
+    return deliveries;
+}
+
+/**
+ * 🔔 Announce series and releases added within the lookback window that were not announced yet.
+ *
+ * @param {import('discord.js').Client} discordClient
+ * @param {(key: string) => boolean} isAnnounced - Whether a key ("series:<id>", "volume:<id>", "chapter:<id>") was already announced
+ * @param {(announcements: Array<object>) => Promise<void>} [onDelivered] - Called after every sent message with the
+ *   announcements it carries, so what was posted is recorded even if a later message fails
+ * @returns {Promise<{ items: Array<object>, announcements: Array<object> }>} Announced items, and their announcement records
+ */
+export async function sendNewItemNotifications(discordClient, isAnnounced, onDelivered = null) {
+    const none = { items: [], announcements: [] };
+    const libraries = await kavitaAPI.fetchData('/api/Library/libraries');
+    if (!libraries?.length) return none;
+    const cutoff = getLookbackCutoff();
+    let newItems = [];
+    let newReleases = [];
+    for (const library of libraries) {
+        const created = await getSeriesSince(library.id, 'recent', 'created', cutoff);
+        const fresh = created.filter(item => !isAnnounced(`series:${item.id}`));
+        for (const item of fresh) {
+            newItems.push({ ...item, libraryId: library.id, libraryName: library.name });
+        }
+        const freshIds = new Set(fresh.map(item => item.id));
+        const updated = await getSeriesSince(library.id, 'updated', 'lastChapterAdded', cutoff);
+        const releases = await checkForNewReleases(
+            updated.filter(series => !freshIds.has(series.id)),
+            isAnnounced,
+            cutoff
+        );
+        for (const release of releases) {
+            newReleases.push({ ...release, libraryId: library.id, libraryName: library.name });
+        }
     }
-    return newItems;
+    if (!newItems.length && !newReleases.length) return none;
+    newItems.sort((a, b) => new Date(b.created) - new Date(a.created));
+    newReleases.sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    // Item → its announcement, collecting the message (and embed field) it landed in per channel
+    const delivered = new Map();
+    const track = (kind, item, channelId, messageId, field) => {
+        if (!delivered.has(item)) delivered.set(item, toAnnouncement(kind, item));
+        delivered.get(item).messages.push({ channelId, messageId, field });
+        return delivered.get(item);
+    };
+    const fieldsOf = (list, index) => list.slice(index * FIELDS_PER_EMBED, (index + 1) * FIELDS_PER_EMBED);
+
+    for (const [channelId, delivery] of groupByChannel(discordClient, newItems, newReleases)) {
+        const seriesEmbeds = buildSeriesEmbeds(delivery.series);
+        const embeds = [...seriesEmbeds, ...buildReleaseEmbeds(delivery.releases)];
+
+        await deliverEmbeds(discordClient, channelId, [...delivery.roleIds], embeds, async (index, messageId) => {
+            const announcements = index < seriesEmbeds.length
+                ? fieldsOf(delivery.series, index).map(item => track('series', item, channelId, messageId, seriesField(item)))
+                : fieldsOf(delivery.releases, index - seriesEmbeds.length)
+                    .map(release => track('release', release, channelId, messageId, releaseField(release)));
+            await onDelivered?.(announcements);
+        });
+    }
+
+    const announced = [...newItems, ...newReleases].filter(item => delivered.has(item));
+    return { items: announced, announcements: announced.map(item => delivered.get(item)) };
+}
+
+/**
+ * 📬 Send one embed to every channel routed for a library. A channel that fails
+ * (e.g. missing permissions) is skipped, so the messages that did go out are
+ * still returned and recorded.
+ * @param {string|null} [guildId] - Only post in this guild's channels
+ * @returns {Promise<Array<{ channelId: string, messageId: string, field: null }>>} The sent messages
+ */
+async function deliverToLibrary(discordClient, libraryId, embed, guildId = null) {
+    const { channelIds, roleId } = resolveLibraryRoute(libraryId, discordClient);
+    const targets = guildId
+        ? channelIds.filter(id => discordClient.channels.cache.get(id)?.guildId === guildId)
+        : channelIds;
+    if (!targets.length) {
+        printError(`[Kavita] ❌ No notification channel for library ${libraryId} (set a notification channel with /admin setup)`);
+        return [];
+    }
+
+    const messages = [];
+    for (const channelId of targets) {
+        try {
+            const messageIds = await deliverEmbeds(discordClient, channelId, roleId ? [roleId] : [], [embed]);
+            messageIds?.forEach(messageId => messages.push({ channelId, messageId, field: null }));
+        } catch (err) {
+            printError(`[Kavita] ❌ Failed to post to channel ${channelId}: ${err.message}`);
+        }
+    }
+    return messages;
+}
+
+/**
+ * 🔁 Post a past announcement again, on its own, to a guild's channels for its library.
+ *
+ * @param {import('discord.js').Client} discordClient
+ * @param {{ kind: 'series'|'release', title: string, libraryId: number, libraryName: string|null, created: string|null }} announcement
+ * @param {string} guildId
+ * @returns {Promise<Array<{ channelId: string, messageId: string, field: null }>>} The sent messages
+ */
+export async function repostAnnouncement(discordClient, announcement, guildId) {
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .addFields({ name: 'Library', value: announcement.libraryName || 'Unknown Library', inline: true })
+        .setTimestamp(announcement.created ? new Date(announcement.created) : new Date());
+
+    if (announcement.kind === 'series') {
+        embed.setTitle('📚 New Series Added').setDescription(`**${announcement.title}** has been added to the library!`);
+    } else {
+        embed.setTitle(truncate(`📖 ${announcement.title}`, 256));
+    }
+
+    return await deliverToLibrary(discordClient, announcement.libraryId, embed, guildId);
+}
+
+/**
+ * 📨 Post a single pushed library event (from the webhook receiver).
+ * Series and chapter events are de-duplicated against the announcement history,
+ * which is shared with the polling notifier so neither path re-announces an item.
+ *
+ * @param {import('discord.js').Client} discordClient
+ * @param {{ event: string, data: object }} payload
+ * @param {(key: string) => boolean} isAnnounced - Whether a key ("series:<id>", "chapter:<id>") was already announced
+ * @returns {Promise<{ posted: boolean, items: Array<object>, announcements: Array<object> }>} Whether anything was posted, the announced items and their announcement records
+ */
+export async function sendLibraryEventNotification(discordClient, { event, data }, isAnnounced) {
+    const none = { posted: false, items: [], announcements: [] };
+
+    if (event === 'series.added') {
+        const seriesId = parseInt(data.seriesId, 10);
+        if (isAnnounced(`series:${seriesId}`)) {
+            printDebug(`[Kavita] Series ${seriesId} already announced — skipping event`);
+            return none;
+        }
+        const series = await kavitaAPI.fetchData(`/api/Series/${seriesId}`);
+        if (!series) return none;
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('📚 New Series Added')
+            .setDescription(`**${series.name}** has been added to the library!`)
+            .addFields({ name: 'Library', value: series.libraryName || 'Unknown Library', inline: true })
+            .setTimestamp(series.created ? new Date(series.created) : new Date());
+        const messages = await deliverToLibrary(discordClient, series.libraryId, embed);
+        if (!messages.length) return none;
+        return {
+            posted: true,
+            items: [series],
+            announcements: [{ ...toAnnouncement('series', series), messages }]
+        };
+    }
+
+    if (event === 'chapter.added') {
+        const key = `chapter:${data.chapterId}`;
+        if (isAnnounced(key)) {
+            printDebug(`[Kavita] Chapter ${data.chapterId} already announced — skipping event`);
+            return none;
+        }
+        const [series, chapter] = await Promise.all([
+            kavitaAPI.fetchData(`/api/Series/${parseInt(data.seriesId, 10)}`),
+            kavitaAPI.fetchData('/api/Series/chapter', 'GET', null, { chapterId: data.chapterId })
+        ]);
+        if (!series || !chapter) return none;
+
+        const label = formatChapterLabel(chapter);
+        const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`📖 ${series.name} — ${label} added`)
+            .addFields({ name: 'Library', value: series.libraryName || 'Unknown Library', inline: true })
+            .setTimestamp(chapter.created ? new Date(chapter.created) : new Date());
+        const messages = await deliverToLibrary(discordClient, series.libraryId, embed);
+        if (!messages.length) return none;
+        const release = {
+            seriesId: series.id,
+            seriesName: series.name,
+            libraryId: series.libraryId,
+            libraryName: series.libraryName,
+            created: chapter.created,
+            labels: [label],
+            keys: [key]
+        };
+        return {
+            posted: true,
+            items: [release],
+            announcements: [{ ...toAnnouncement('release', release), messages }]
+        };
+    }
+
+    if (event === 'scan.finished') {
+        const embed = new EmbedBuilder()
+            .setColor('#43b581')
+            .setTitle('🔄 Library Scan Finished')
+            .setDescription(data.libraryName
+                ? `Scan of **${data.libraryName}** has completed.`
+                : 'A library scan has completed.')
+            .setTimestamp();
+        const channelIds = data.libraryId
+            ? resolveLibraryRoute(data.libraryId, discordClient).channelIds
+            : listGuildConfigs().map(config => config.channels.notifications).filter(Boolean);
+        let sent = false;
+        for (const channelId of channelIds) {
+            try {
+                sent = Boolean(await deliverEmbeds(discordClient, channelId, [], [embed])) || sent;
+            } catch (err) {
+                printError(`[Kavita] ❌ Failed to post scan notice to channel ${channelId}: ${err.message}`);
+            }
+        }
+        return { ...none, posted: sent };
+    }
+
+    printError(`[Kavita] ❌ Unsupported library event: ${event}`);
+    return none;
 }
@@ -0,0 +1,136 @@
+// /kavita/responseCache.mjs — TTL Cache + Request Coalescing for Kavita Reads
+
+import { printDebug } from '../noona/logger/logUtils.mjs';
+
+const MAX_ENTRIES = parseInt(process.env.KAVITA_CACHE_MAX_ENTRIES, 10) || 500;
+const ENABLED = process.env.KAVITA_CACHE_ENABLED !== 'false';
+
+/**
+ * Read endpoints worth caching. The first policy whose pattern matches the
+ * request path wins; anything unmatched always goes to Kavita.
+ */
+const policies = [
+    { tag: 'libraries', pattern: /^\/api\/Library\/libraries$/, ttlMs: 5 * 60_000 },
+    { tag: 'series', pattern: /^\/api\/Series\/all-v2$/, ttlMs: 2 * 60_000 },
+    { tag: 'series', pattern: /^\/api\/Series\/(\d+|volumes|chapter)$/, ttlMs: 2 * 60_000 },
+    { tag: 'series', pattern: /^\/api\/ReadingList\/items$/, ttlMs: 5 * 60_000 },
+    { tag: 'series', pattern: /^\/api\/Metadata\/genres$/, ttlMs: 10 * 60_000 },
+    { tag: 'search', pattern: /^\/api\/Search\/search$/, ttlMs: 60_000 },
+    { tag: 'users', pattern: /^\/api\/Users$/, ttlMs: 60_000 },
+    { tag: 'stats', pattern: /^\/api\/Stats\/server\/stats$/, ttlMs: 5 * 60_000 }
+];
+
+/**
+ * Which cached data a state-changing request makes stale.
+ */
+const invalidations = [
+    { pattern: /^\/api\/(Account|Users)\//, tags: ['users'] },
+    { pattern: /^\/api\/Library\/scan/, tags: ['libraries', 'series', 'search', 'stats'] },
+    { pattern: /^\/api\/Library\//, tags: ['libraries'] },
+    { pattern: /^\/api\/Server\/clear-cache$/, tags: policies.map(p => p.tag) }
+];
+
+/** @type {Map<string, { tag: string, value: any, expires: number }>} */
+const entries = new Map();
+
+/** @type {Map<string, Promise<any>>} */
+const inFlight = new Map();
+
+const counters = { hits: 0, misses: 0, coalesced: 0, invalidated: 0 };
+const byTag = {};
+
+function count(tag, field) {
+    byTag[tag] ??= { hits: 0, misses: 0, coalesced: 0 };
+    byTag[tag][field]++;
+    counters[field]++;
+}
+
+function pathOf(endpoint) {
+    return endpoint.split('?')[0];
+}
+
+/**
+ * 🗄️ Serve a Kavita read from cache, join an identical in-flight call, or load it.
+ *
+ * Cached values are shared between callers and must not be mutated.
+ *
+ * @param {{ method: string, endpoint: string, queryParams?: object|null, data?: object|null }} request
+ * @param {() => Promise<any>} load - Performs the real request
+ * @returns {Promise<any>}
+ */
+export async function cachedRequest({ method, endpoint, queryParams = null, data = null }, load) {
+    const path = pathOf(endpoint);
+    const policy = ENABLED && policies.find(p => p.pattern.test(path));
+    if (!policy) return load();
+
+    const key = `${method} ${endpoint} ${JSON.stringify(queryParams)} ${JSON.stringify(data)}`;
+    const entry = entries.get(key);
+
+    if (entry && entry.expires > Date.now()) {
+        count(policy.tag, 'hits');
+        return entry.value;
+    }
+
+    if (inFlight.has(key)) {
+        count(policy.tag, 'coalesced');
+        return inFlight.get(key);
+    }
+
+    count(policy.tag, 'misses');
+    const promise = load()
+        .then(value => {
+            entries.delete(key);
+            entries.set(key, { tag: policy.tag, value, expires: Date.now() + policy.ttlMs });
+            if (entries.size > MAX_ENTRIES) {
+                entries.delete(entries.keys().next().value);
+            }
+            return value;
+        })
+        .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * 🧹 Drop cached data made stale by a state-changing request.
+ * @param {string} method
+ * @param {string} endpoint
+ */
+export function invalidateAfter(method, endpoint) {
+    const path = pathOf(endpoint);
+    const rule = invalidations.find(r => r.pattern.test(path));
+    if (rule) invalidateKavitaCache(...rule.tags);
+}
+
+/**
+ * 🧹 Drop every cached response with one of the given tags
+ * (libraries, series, search, users, stats). No tags clears everything.
+ * @param {...string} tags
+ */
+export function invalidateKavitaCache(...tags) {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (!tags.length || tags.includes(entry.tag)) {
+            entries.delete(key);
+            removed++;
+        }
+    }
+    counters.invalidated += removed;
+    if (removed) printDebug(`[Kavita] Cache: dropped ${removed} ${tags.join('/') || 'all'} entr${removed === 1 ? 'y' : 'ies'}`);
+}
+
+/**
+ * 📊 Cache counters since startup.
+ * @returns {{ enabled: boolean, size: number, hits: number, misses: number, coalesced: number, invalidated: number, hitRate: number, byTag: object }}
+ */
+export function getCacheStats() {
+    const lookups = counters.hits + counters.misses + counters.coalesced;
+    return {
+        enabled: ENABLED,
+        size: entries.size,
+        ...counters,
+        hitRate: lookups ? (counters.hits + counters.coalesced) / lookups : 0,
+        byTag: structuredClone(byTag)
+    };
+}
@@ -0,0 +1,139 @@
+// /noona/scheduler/cronExpression.mjs — Five-Field Cron Expression Parser
+
+/**
+ * Field ranges in cron order: minute, hour, day of month, month, day of week.
+ */
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, nameOffset: 1, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Never look further ahead than this when searching for the next run.
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+/**
+ * Error thrown for an invalid cron expression.
+ */
+export class CronSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronSyntaxError';
+    }
+}
+
+function parseValue(value, field) {
+    const named = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    if (named >= 0) return named + (field.nameOffset || 0);
+
+    if (!/^\d+$/.test(value)) {
+        throw new CronSyntaxError(`Invalid ${field.name} value "${value}"`);
+    }
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new CronSyntaxError(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+function parseField(source, field) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new CronSyntaxError(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseValue(value, field));
+            if (start > end) throw new CronSyntaxError(`Invalid range "${range}" in ${field.name}`);
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    return values;
+}
+
+/**
+ * 🧮 Parse a five-field cron expression (or an @hourly/@daily/@weekly/@monthly/@yearly macro).
+ * Supports `*`, lists, ranges, steps and month/weekday names. Sunday is 0 or 7.
+ *
+ * @param {string} expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ * @throws {CronSyntaxError}
+ */
+export function parseCron(expression) {
+    const source = MACROS[expression?.trim().toLowerCase()] || expression?.trim() || '';
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new CronSyntaxError(`Expected 5 fields (minute hour day month weekday), got ${parts.filter(Boolean).length}`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+/**
+ * ✅ Whether a date (to the minute, local time) matches a parsed schedule.
+ * Like classic cron, when both day fields are restricted either one may match.
+ *
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function matchesCron(schedule, date) {
+    if (!schedule.minute.has(date.getMinutes())) return false;
+    if (!schedule.hour.has(date.getHours())) return false;
+    if (!schedule.month.has(date.getMonth() + 1)) return false;
+
+    const dom = schedule.dayOfMonth.has(date.getDate());
+    const dow = schedule.dayOfWeek.has(date.getDay());
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dom && dow;
+    return dom || dow;
+}
+
+/**
+ * ⏭️ Next time after `from` that a schedule fires.
+ *
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} [from]
+ * @returns {Date|null} Null if it never fires within a year (e.g. "0 0 31 2 *")
+ */
+export function nextCronRun(schedule, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (matchesCron(schedule, date)) return date;
+    }
+    return null;
+}
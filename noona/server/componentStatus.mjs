@@ -0,0 +1,65 @@
+// ✅ /noona/server/componentStatus.mjs — Shared Component Health Registry
+
+import { printDebug } from '../logger/logUtils.mjs';
+
+/** @type {Map<string, { name: string, info: string, ready: boolean, updatedAt: string }>} */
+const components = new Map();
+
+/** @type {Map<string, () => Promise<{ info: string, ready: boolean }>>} */
+const probes = new Map();
+
+let bootComplete = false;
+
+/**
+ * 📝 Record the latest known state of a component.
+ * Used by the boot sequence so the summary table and the HTTP probes agree.
+ *
+ * @param {{ name: string, info: string, ready: boolean }} status
+ */
+export function setComponentStatus({ name, info, ready }) {
+    components.set(name, { name, info, ready, updatedAt: new Date().toISOString() });
+    printDebug(`[Health] ${name} → ${ready ? 'ready' : 'failed'} (${info})`);
+}
+
+/**
+ * 🔎 Register a live probe that refreshes a component's status on demand.
+ * Probes should be cheap — they run on every /health and /ready request.
+ *
+ * @param {string} name - Component name (same as in the boot summary)
+ * @param {() => Promise<{ info: string, ready: boolean }>} probe
+ */
+export function registerComponentProbe(name, probe) {
+    probes.set(name, probe);
+}
+
+/**
+ * 🏁 Mark the boot sequence as finished.
+ */
+export function markBootComplete() {
+    bootComplete = true;
+}
+
+/**
+ * @returns {boolean} Whether the boot sequence has finished.
+ */
+export function isBootComplete() {
+    return bootComplete;
+}
+
+/**
+ * 📋 Get every component's status, refreshing those with a live probe.
+ * @returns {Promise<Array<{ name: string, info: string, ready: boolean, updatedAt: string }>>}
+ */
+export async function getComponentStatuses() {
+    for (const [name, probe] of probes) {
+        if (!components.has(name)) continue;
+
+        try {
+            setComponentStatus({ name, ...(await probe()) });
+        } catch (err) {
+            setComponentStatus({ name, info: err.message, ready: false });
+        }
+    }
+
+    return [...components.values()];
+}
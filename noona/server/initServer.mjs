@@ -0,0 +1,185 @@
+// ✅ /noona/server/initServer.mjs — Portal HTTP Service (Health, Readiness & Routes)
+
+import http from 'http';
+import { getComponentStatuses, isBootComplete } from './componentStatus.mjs';
+import { verifySignedRequest, SignatureError } from '../vault/auth/verifySignedRequest.mjs';
+import { printStep, printResult, printError, printDebug } from '../logger/logUtils.mjs';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/** @type {Map<string, { handler: (req: http.IncomingMessage, body: string, claims?: object) => Promise<{ status: number, body?: object }>, signed: boolean }>} */
+const routes = new Map();
+
+let server = null;
+
+/**
+ * Error thrown when a request body exceeds MAX_BODY_BYTES (answered with 413).
+ */
+class BodyTooLargeError extends Error {
+    constructor() {
+        super('Request body too large');
+        this.name = 'BodyTooLargeError';
+    }
+}
+
+/**
+ * ➕ Register a route on the portal HTTP service.
+ * Handlers receive the request and its raw body and resolve to `{ status, body }`.
+ * Signed routes only reach the handler when the request carries a valid service
+ * signature (see auth/verifySignedRequest.mjs); the verified claims are passed along.
+ *
+ * @param {'GET' | 'POST'} method
+ * @param {string} path - Exact path, e.g. "/health"
+ * @param {(req: http.IncomingMessage, body: string, claims?: object) => Promise<{ status: number, body?: object }>} handler
+ * @param {{ signed?: boolean }} [options]
+ */
+export function registerRoute(method, path, handler, { signed = false } = {}) {
+    routes.set(`${method.toUpperCase()} ${path}`, { handler, signed });
+}
+
+/**
+ * 🩺 Liveness — the process is up; includes component details for humans.
+ */
+registerRoute('GET', '/health', async () => {
+    const components = await getComponentStatuses();
+    const healthy = components.every(c => c.ready);
+
+    return {
+        status: 200,
+        body: {
+            status: healthy ? 'ok' : 'degraded',
+            booted: isBootComplete(),
+            uptime: Math.round(process.uptime()),
+            components
+        }
+    };
+});
+
+/**
+ * 🚦 Readiness — boot finished and every component reports ready.
+ */
+registerRoute('GET', '/ready', async () => {
+    const components = await getComponentStatuses();
+    const ready = isBootComplete() && components.every(c => c.ready);
+
+    return {
+        status: ready ? 200 : 503,
+        body: {
+            ready,
+            booted: isBootComplete(),
+            failing: components.filter(c => !c.ready).map(c => c.name)
+        }
+    };
+});
+
+/**
+ * 📥 Read the full request body as a string (bounded).
+ * @throws {BodyTooLargeError}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        if (parseInt(req.headers['content-length'], 10) > MAX_BODY_BYTES) {
+            reject(new BodyTooLargeError());
+            req.resume();
+            return;
+        }
+
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new BodyTooLargeError());
+                // Drain the rest so the 413 can still be written
+                req.removeAllListeners('data');
+                req.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 📤 Write a JSON response.
+ */
+function sendJson(res, status, body = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * 🔀 Dispatch an incoming request to its registered route.
+ */
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes.get(`${req.method} ${pathname}`);
+
+    if (!route) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    try {
+        const body = req.method === 'GET' ? '' : await readBody(req);
+
+        let claims;
+        if (route.signed) {
+            try {
+                claims = await verifySignedRequest(req, body);
+            } catch (err) {
+                if (err instanceof SignatureError) return sendJson(res, 401, { error: err.message });
+                throw err;
+            }
+        }
+
+        const result = await route.handler(req, body, claims);
+        sendJson(res, result.status, result.body);
+    } catch (err) {
+        if (err instanceof BodyTooLargeError) {
+            res.setHeader('Connection', 'close');
+            return sendJson(res, 413, { error: err.message });
+        }
+        printError(`[Server] ❌ ${req.method} ${pathname} failed: ${err.message}`);
+        sendJson(res, 500, { error: 'Internal error' });
+    }
+}
+
+/**
+ * 🚀 Start the HTTP service on PORTAL_PORT.
+ * @param {number|string} [port]
+ * @returns {Promise<http.Server>}
+ */
+export async function startPortalServer(port = process.env.PORTAL_PORT) {
+    if (server) return server;
+
+    printStep(`[Server] 🌐 Starting HTTP service on port ${port}...`);
+
+    return new Promise((resolve, reject) => {
+        const instance = http.createServer((req, res) => {
+            printDebug(`[Server] ${req.method} ${req.url}`);
+            handleRequest(req, res);
+        });
+
+        instance.once('error', reject);
+        instance.listen(parseInt(port, 10), () => {
+            server = instance;
+            printResult(`[Server] ✅ Listening on port ${port} (/health, /ready)`);
+            resolve(instance);
+        });
+    });
+}
+
+/**
+ * 🛑 Stop the HTTP service if it is running.
+ * @returns {Promise<void>}
+ */
+export async function stopPortalServer() {
+    if (!server) return;
+
+    await new Promise(resolve => server.close(() => resolve()));
+    server = null;
+    printResult('[Server] ✅ HTTP service stopped.');
+}
@@ -0,0 +1,201 @@
+// /noona/store/backends.mjs — Vault, Redis and Local File Backends for the State Store
+//
+// Every backend stores whole JSON documents by name: `get(name)` resolves to the
+// document, undefined when it does not exist yet or null when it could not be
+// read; `set(name, value)` resolves to whether the write was stored. Backends
+// that can change part of a document also have `patch(name, { set, remove }, document)`,
+// where `document` is the whole document after the change.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createClient } from 'redis';
+import * as vault from '../vault/initVault.mjs';
+import { VaultError, VaultNotFoundError } from '../vault/vaultErrors.mjs';
+import { printDebug, printResult, printError } from '../logger/logUtils.mjs';
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'noona-portal';
+
+/**
+ * 🧮 Apply a delta to a keyed document: `set` adds or replaces keys, `remove` drops them.
+ * @param {Record<string, *>} document
+ * @param {{ set?: Record<string, *>, remove?: string[] }} delta
+ * @returns {Record<string, *>}
+ */
+export function applyDelta(document, { set = {}, remove = [] }) {
+    const next = { ...document, ...set };
+    for (const key of remove) delete next[key];
+    return next;
+}
+
+/**
+ * Document name → Vault route helpers ([load, replace, patch]).
+ */
+const VAULT_DOCUMENTS = {
+    notifiedIds: [vault.getNotifiedIds, vault.saveNotifiedIds],
+    announcements: [vault.getAnnouncements, vault.saveAnnouncements, vault.patchAnnouncements],
+    notificationRoutes: [vault.getNotificationRoutes, vault.saveNotificationRoutes],
+    subscriptions: [vault.getSubscriptions, vault.saveSubscriptions],
+    accounts: [vault.getAccounts, vault.saveAccounts],
+    jobs: [vault.getScheduledJobs, vault.saveScheduledJobs],
+    permissions: [vault.getPermissionRules, vault.savePermissionRules],
+    guilds: [vault.getGuildConfigs, vault.saveGuildConfigs]
+};
+
+function vaultRoute(name) {
+    const route = VAULT_DOCUMENTS[name];
+    if (!route) throw new Error(`Vault has no route for state "${name}"`);
+    return route;
+}
+
+/**
+ * Run a Vault call, resolving to `failed` when it throws a VaultError
+ * (the client has already logged it). A 404 resolves to `missing` instead —
+ * the document just hasn't been written yet, which is not an outage.
+ */
+async function orFailed(call, failed, missing = failed) {
+    try {
+        return await call();
+    } catch (err) {
+        if (err instanceof VaultNotFoundError) return missing;
+        if (!(err instanceof VaultError)) throw err;
+        return failed;
+    }
+}
+
+/**
+ * 🔐 Documents live behind their Vault routes.
+ */
+export const vaultBackend = {
+    name: 'vault',
+    get: name => orFailed(() => vaultRoute(name)[0](), null, undefined),
+    set: (name, value) => orFailed(async () => {
+        await vaultRoute(name)[1](value);
+        return true;
+    }, false),
+    // Routes without a delta endpoint, or a document that doesn't exist yet,
+    // get the whole updated document instead
+    patch: async (name, delta, document) => {
+        const [, replace, patch] = vaultRoute(name);
+        if (patch) {
+            const patched = await orFailed(async () => {
+                await patch(delta);
+                return true;
+            }, false, undefined);
+            if (patched !== undefined) return patched;
+        }
+        return await orFailed(async () => {
+            await replace(document);
+            return true;
+        }, false);
+    },
+    ping: () => vault.pingVault()
+};
+
+/**
+ * 📁 Documents live as JSON files in a directory. Writes go through a temporary
+ * file, so a crash never leaves a half-written document behind.
+ * @param {string} dir
+ */
+export function createFileBackend(dir) {
+    const file = name => path.join(dir, `${name}.json`);
+
+    return {
+        name: 'file',
+        async get(name) {
+            try {
+                return JSON.parse(await fs.readFile(file(name), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return undefined;
+                printError(`[Store] ❌ Failed to read ${file(name)}: ${err.message}`);
+                return null;
+            }
+        },
+        async set(name, value) {
+            try {
+                await fs.mkdir(dir, { recursive: true });
+                const tmp = `${file(name)}.${process.pid}.tmp`;
+                await fs.writeFile(tmp, JSON.stringify(value));
+                await fs.rename(tmp, file(name));
+                return true;
+            } catch (err) {
+                printError(`[Store] ❌ Failed to write ${file(name)}: ${err.message}`);
+                return false;
+            }
+        },
+        ping: async () => true
+    };
+}
+
+/**
+ * 🧠 Documents live as JSON strings under `NOONA:STATE:<service>:<name>`.
+ * The client reconnects on its own; while it is down, reads and writes fail
+ * right away instead of queueing.
+ * @param {string} url
+ */
+export function createRedisBackend(url) {
+    const prefix = `NOONA:STATE:${SERVICE_NAME}:`;
+    let client = null;
+
+    const connect = () => {
+        if (!client) {
+            client = createClient({
+                url,
+                disableOfflineQueue: true,
+                socket: { connectTimeout: 2000, reconnectStrategy: retries => Math.min(retries * 500, 5000) }
+            });
+            client.on('error', err => printDebug(`[Store] Redis error: ${err.message}`));
+            client.on('ready', () => printResult(`[Store] ✅ Connected to Redis at ${url}`));
+            client.connect().catch(err => printError(`[Store] ❌ Redis connection failed: ${err.message}`));
+        }
+        return client;
+    };
+
+    // Give a fresh connection a moment instead of failing the first request;
+    // requests arriving meanwhile share one wait rather than each adding a listener
+    let waiting = null;
+    const ready = async () => {
+        const redis = connect();
+        if (!redis.isReady) {
+            waiting ??= new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timer);
+                    redis.off('ready', done);
+                    waiting = null;
+                    resolve();
+                };
+                const timer = setTimeout(done, 2000);
+                redis.once('ready', done);
+            });
+            await waiting;
+        }
+        return redis;
+    };
+
+    return {
+        name: 'redis',
+        async get(name) {
+            try {
+                const raw = await (await ready()).get(prefix + name);
+                return raw === null ? undefined : JSON.parse(raw);
+            } catch (err) {
+                printError(`[Store] ❌ Failed to read "${name}" from Redis: ${err.message}`);
+                return null;
+            }
+        },
+        async set(name, value) {
+            try {
+                await (await ready()).set(prefix + name, JSON.stringify(value));
+                return true;
+            } catch (err) {
+                printError(`[Store] ❌ Failed to write "${name}" to Redis: ${err.message}`);
+                return false;
+            }
+        },
+        async patch(name, delta) {
+            const current = await this.get(name);
+            if (current === null) return false;
+            return await this.set(name, applyDelta(current || {}, delta));
+        },
+        ping: async () => connect().isReady
+    };
+}
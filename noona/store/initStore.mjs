@@ -0,0 +1,242 @@
+// /noona/store/initStore.mjs — State Store (Vault, Redis or Local Files) With an Outage Journal
+//
+// STATE_STORE picks where the portal's state lives: `vault` (default), `redis`
+// or `file`. With a remote backend, every document is also kept as a local copy
+// in STATE_DIR. A write the backend can't take is journaled and replayed from
+// that copy once the backend is back, and reads fall back to the copy meanwhile,
+// so an outage never loses state or brings back already-announced items.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { vaultBackend, createFileBackend, createRedisBackend, applyDelta } from './backends.mjs';
+import {
+    printStep,
+    printDebug,
+    printResult,
+    printError
+} from '../logger/logUtils.mjs';
+
+const STATE_DIR = process.env.STATE_DIR || path.join(process.cwd(), 'data', 'state');
+const JOURNAL_FILE = path.join(STATE_DIR, 'journal.json');
+const REPLAY_MS = (parseInt(process.env.STATE_REPLAY_SECONDS, 10) || 30) * 1000;
+
+const local = createFileBackend(STATE_DIR);
+const backend = selectBackend(process.env.STATE_STORE);
+
+/**
+ * Document name → when its local copy was last written without reaching the backend.
+ * @type {Record<string, string>|null}
+ */
+let journal = null;
+let replayTimer = null;
+let replaying = null;
+
+function selectBackend(kind = 'vault') {
+    switch (kind.trim().toLowerCase()) {
+        case 'file':
+            return local;
+        case 'redis':
+            return createRedisBackend(process.env.STATE_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379');
+        case 'vault':
+            return vaultBackend;
+        default:
+            printError(`[Store] ⚠️ Unknown STATE_STORE "${kind}" — using Vault`);
+            return vaultBackend;
+    }
+}
+
+async function loadJournal() {
+    if (journal) return journal;
+
+    try {
+        journal = JSON.parse(await fs.readFile(JOURNAL_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') printError(`[Store] ❌ Failed to read the write journal: ${err.message}`);
+        journal = {};
+    }
+
+    if (Object.keys(journal).length) {
+        printStep(`[Store] 📒 ${Object.keys(journal).length} writes from an earlier ${backend.name} outage are waiting to be replayed`);
+        scheduleReplay();
+    }
+    return journal;
+}
+
+async function saveJournal() {
+    try {
+        await fs.mkdir(STATE_DIR, { recursive: true });
+        await fs.writeFile(`${JOURNAL_FILE}.tmp`, JSON.stringify(journal));
+        await fs.rename(`${JOURNAL_FILE}.tmp`, JOURNAL_FILE);
+    } catch (err) {
+        printError(`[Store] ❌ Failed to write the write journal: ${err.message}`);
+    }
+}
+
+async function journalWrite(name) {
+    journal[name] = new Date().toISOString();
+    await saveJournal();
+    printError(`[Store] 📒 ${backend.name} unavailable — journaled "${name}" for replay`);
+    scheduleReplay();
+    return true;
+}
+
+function scheduleReplay() {
+    if (replayTimer) return;
+    replayTimer = setInterval(() => replayJournal(), REPLAY_MS);
+    replayTimer.unref();
+}
+
+/**
+ * 🗄️ Name of the active backend (`vault`, `redis` or `file`).
+ * @returns {string}
+ */
+export function getStoreBackend() {
+    return backend.name;
+}
+
+/**
+ * 📒 Documents whose latest write has not reached the backend yet.
+ * @returns {string[]}
+ */
+export function getPendingWrites() {
+    return Object.keys(journal || {});
+}
+
+/**
+ * 📥 Read a state document.
+ *
+ * @param {string} name - e.g. `notifiedIds`, `accounts`
+ * @param {*} [fallback=null] - Returned when the document does not exist yet
+ * @returns {Promise<*>} The document, or null when neither the backend nor the local copy could be read
+ */
+export async function getState(name, fallback = null) {
+    if (backend === local) {
+        const value = await local.get(name);
+        return value === undefined ? fallback : value;
+    }
+
+    // The local copy is newer than what the backend holds
+    if ((await loadJournal())[name]) {
+        printDebug(`[Store] "${name}" has an unreplayed write — reading the local copy`);
+        const value = await local.get(name);
+        return value === undefined ? fallback : value;
+    }
+
+    const value = await backend.get(name);
+    if (value !== null) {
+        const resolved = value === undefined ? fallback : value;
+        if (resolved !== null) await local.set(name, resolved);
+        return resolved;
+    }
+
+    const copy = await local.get(name);
+    if (copy === undefined || copy === null) {
+        printError(`[Store] ❌ Could not read "${name}" from ${backend.name} and there is no local copy`);
+        return null;
+    }
+    printError(`[Store] ⚠️ Could not read "${name}" from ${backend.name} — using the local copy`);
+    return copy;
+}
+
+/**
+ * 📤 Write a state document. When the backend is unreachable, the write is kept
+ * locally and replayed later.
+ *
+ * @param {string} name
+ * @param {*} value - The whole document
+ * @returns {Promise<boolean>} Whether the write was stored (in the backend or the journal)
+ */
+export async function setState(name, value) {
+    if (backend === local) return await local.set(name, value);
+
+    await loadJournal();
+    const copied = await local.set(name, value);
+
+    if (await backend.set(name, value)) {
+        if (journal[name]) {
+            delete journal[name];
+            await saveJournal();
+        }
+        return true;
+    }
+
+    if (!copied) return false;
+
+    return await journalWrite(name);
+}
+
+/**
+ * 🧮 Change part of a keyed state document. Only the delta is sent when the backend
+ * supports it; otherwise this behaves like `setState` with the updated document.
+ * The document should have been read with `getState` first, so the local copy is current.
+ *
+ * @param {string} name
+ * @param {{ set?: Record<string, *>, remove?: string[] }} delta
+ * @returns {Promise<boolean>} Whether the change was stored (in the backend or the journal)
+ */
+export async function patchState(name, delta) {
+    const current = await local.get(name);
+    if (current === null) return false;
+    const document = applyDelta(current || {}, delta);
+
+    if (backend === local || !backend.patch) return await setState(name, document);
+
+    await loadJournal();
+    const copied = await local.set(name, document);
+
+    // A journaled document has to be replayed whole before deltas make sense again
+    if (!journal[name] && await backend.patch(name, delta, document)) return true;
+
+    if (!copied) return false;
+
+    return await journalWrite(name);
+}
+
+/**
+ * 🔁 Push journaled writes to the backend. Runs on its own every STATE_REPLAY_SECONDS
+ * while writes are pending.
+ * @returns {Promise<number>} Number of writes replayed
+ */
+export function replayJournal() {
+    if (!replaying) {
+        replaying = (async () => {
+            await loadJournal();
+            const names = Object.keys(journal);
+            if (!names.length || !(await backend.ping())) return 0;
+
+            let replayed = 0;
+            for (const name of names) {
+                const queuedAt = journal[name];
+                const value = await local.get(name);
+                if (value === null) continue;
+
+                if (value !== undefined && !(await backend.set(name, value))) break;
+
+                // A newer write may have been journaled while this one was in flight
+                if (journal[name] === queuedAt) delete journal[name];
+                replayed++;
+            }
+
+            await saveJournal();
+            if (replayed) printResult(`[Store] ✅ Replayed ${replayed} journaled writes to ${backend.name}`);
+            return replayed;
+        })().finally(() => {
+            replaying = null;
+            if (replayTimer && !getPendingWrites().length) {
+                clearInterval(replayTimer);
+                replayTimer = null;
+            }
+        });
+    }
+    return replaying;
+}
+
+/**
+ * 🛑 Stop retrying journaled writes (they stay on disk for the next start).
+ */
+export function stopStore() {
+    if (replayTimer) {
+        clearInterval(replayTimer);
+        replayTimer = null;
+    }
+}
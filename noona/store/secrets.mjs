@@ -0,0 +1,62 @@
+// /noona/store/secrets.mjs — Encrypts Secrets Before They Reach the State Store
+//
+// State documents are copied to local files, the outage journal and possibly
+// Redis, so secrets inside them (users' Kavita API keys) are sealed with
+// AES-256-GCM first. The key comes from STATE_SECRET_KEY or, when unset, is
+// derived from JWT_PRIVATE_KEY — rotating either makes sealed secrets unreadable.
+
+import crypto from 'crypto';
+import { printError } from '../logger/logUtils.mjs';
+
+const PREFIX = 'sealed:v1:';
+
+let cachedKey = null;
+
+function getKey() {
+    if (!cachedKey) {
+        const material = process.env.STATE_SECRET_KEY || process.env.JWT_PRIVATE_KEY;
+        if (!material) throw new Error('Neither STATE_SECRET_KEY nor JWT_PRIVATE_KEY is set');
+        cachedKey = Buffer.from(crypto.hkdfSync('sha256', material, 'noona-portal', 'state secrets', 32));
+    }
+    return cachedKey;
+}
+
+/**
+ * 🔍 Whether a value was produced by `sealSecret`.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSealed(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * 🔒 Encrypt a secret for storage.
+ * @param {string} secret
+ * @returns {string}
+ */
+export function sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * 🔓 Decrypt a secret sealed with `sealSecret`.
+ * @param {string} sealed
+ * @returns {string|null} The secret, or null when it can't be decrypted (e.g. the key changed)
+ */
+export function openSecret(sealed) {
+    if (!isSealed(sealed)) return null;
+
+    try {
+        const [iv, tag, encrypted] = sealed.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (err) {
+        printError(`[Store] ❌ Could not decrypt a stored secret: ${err.message}`);
+        return null;
+    }
+}
@@ -2,6 +2,7 @@
 import jwt from 'jsonwebtoken';
 import { printStep, printError, printDebug } from '../../logger/logUtils.mjs';
 import { getPublicKey } from './getPublicKey.mjs';
+import { signServiceToken } from './signRequest.mjs';
 
 export async function checkKeys() {
     printStep('[Auth] Verifying JWT key pair...');
@@ -20,14 +21,12 @@ export async function checkKeys() {
     }
 
     try {
-        const testToken = jwt.sign(
-            { sub: 'noona-test', scope: 'verify' },
-            privateKey,
-            { algorithm: 'RS256', expiresIn: '5m' }
-        );
+        // Same signing path as outbound requests, so a pass means Vault can verify them
+        const testToken = signServiceToken('noona-test');
+        if (!testToken) return false;
 
-        const decoded = jwt.verify(testToken, publicKey, { algorithms: ['RS256'] });
-        printDebug(`[Auth] JWT test token verified: ${decoded.sub}`);
+        const decoded = jwt.verify(testToken, publicKey, { algorithms: ['RS256'], audience: 'noona-test' });
+        printDebug(`[Auth] JWT test token verified: ${decoded.iss}`);
         return true;
     } catch (err) {
         printError(`[Auth] JWT key verification failed: ${err.message}`);
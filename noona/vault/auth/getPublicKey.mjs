@@ -1,21 +1,54 @@
 // /noona/vault/getPublicKey.mjs — Fetches public key from Vault system route
 import { printDebug, printError } from '../../logger/logUtils.mjs';
-import { postVault } from './postVault.mjs';
+import { fetchVaultPublicKey } from '../initVault.mjs';
 
 export async function getPublicKey() {
-    const endpoint = '/v1/system/token';
-
     try {
-        const result = await postVault(endpoint, {}, 'GET');
-        if (!result?.success || !result.publicKey) {
-            printError('[Auth] Failed to fetch public key: invalid response');
-            return null;
-        }
-
+        const publicKey = await fetchVaultPublicKey();
         printDebug('[Auth] Fetched public key from Vault');
-        return result.publicKey;
+        return publicKey;
     } catch (err) {
         printError(`[Auth] Error fetching public key from Vault: ${err.message}`);
         return null;
     }
 }
+
+// Forced refreshes are triggered by failed signature checks, which anyone can send;
+// limit them so forged requests can't make the portal hammer Vault.
+const REFRESH_COOLDOWN_MS = (parseInt(process.env.PUBLIC_KEY_REFRESH_COOLDOWN_SECONDS, 10) || 30) * 1000;
+
+let cachedPublicKey = null;
+let lastForcedRefresh = 0;
+let fetching = null;
+
+/**
+ * Loads the Vault public key, reusing the cached copy unless a refresh is forced.
+ * A forced refresh runs at most once per PUBLIC_KEY_REFRESH_COOLDOWN_SECONDS and
+ * concurrent callers share one fetch. A failed refresh keeps the previous key,
+ * so one Vault hiccup doesn't break verification.
+ * @param {boolean} refresh
+ * @returns {Promise<string|null>}
+ */
+export async function loadPublicKey(refresh = false) {
+    if (refresh && cachedPublicKey) {
+        if (Date.now() - lastForcedRefresh < REFRESH_COOLDOWN_MS) {
+            printDebug('[Auth] Public key was refreshed recently — reusing the cached key');
+            await fetching;
+            return cachedPublicKey;
+        }
+        lastForcedRefresh = Date.now();
+    }
+
+    if (!cachedPublicKey || refresh) {
+        fetching ??= getPublicKey().finally(() => {
+            fetching = null;
+        });
+        const publicKey = await fetching;
+        if (publicKey) {
+            cachedPublicKey = publicKey;
+        } else if (cachedPublicKey) {
+            printError('[Auth] ⚠️ Public key refresh failed — keeping the previous key');
+        }
+    }
+    return cachedPublicKey;
+}
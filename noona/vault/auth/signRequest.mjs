@@ -0,0 +1,70 @@
+// /noona/vault/auth/signRequest.mjs — Short-Lived RS256 Tokens for Outbound Service Requests
+//
+// Every request the portal sends to another Noona service carries a fresh token
+// in the `x-noona-signature` header, signed with JWT_PRIVATE_KEY. It names the
+// caller (iss) and the target (aud), has a unique nonce (jti) and issue time (iat),
+// and pins the body with a `sha256` claim, so the receiver can reject forged,
+// misdirected, tampered or replayed requests.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { printDebug, printError } from '../../logger/logUtils.mjs';
+
+export const SIGNATURE_HEADER = 'x-noona-signature';
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'noona-portal';
+const TOKEN_TTL_SECONDS = parseInt(process.env.SIGNED_REQUEST_TTL_SECONDS, 10) || 60;
+
+/**
+ * #️⃣ Hex SHA-256 of a request body, as carried in the `sha256` claim.
+ * @param {string} body
+ * @returns {string}
+ */
+export function digestBody(body = '') {
+    return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * ✍️ Sign a single-use token for one request.
+ * @param {string} audience - Service the request is for, e.g. "noona-vault"
+ * @param {string} [body] - Raw request body exactly as sent
+ * @returns {string|null} The token, or null when JWT_PRIVATE_KEY is missing or unusable
+ */
+export function signServiceToken(audience, body = '') {
+    const privateKey = process.env.JWT_PRIVATE_KEY;
+    if (!privateKey) {
+        printError('[Auth] ❌ JWT_PRIVATE_KEY is not set — cannot sign request');
+        return null;
+    }
+
+    try {
+        return jwt.sign(
+            { sha256: digestBody(body) },
+            privateKey,
+            {
+                algorithm: 'RS256',
+                issuer: SERVICE_NAME,
+                audience,
+                jwtid: crypto.randomUUID(),
+                expiresIn: TOKEN_TTL_SECONDS
+            }
+        );
+    } catch (err) {
+        printError(`[Auth] ❌ Failed to sign request for ${audience}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * 📬 Signature header for one request (empty when it can't be signed).
+ * @param {string} audience
+ * @param {string} [body]
+ * @returns {Record<string, string>}
+ */
+export function getSignatureHeaders(audience, body = '') {
+    const token = signServiceToken(audience, body);
+    if (!token) return {};
+
+    printDebug(`[Auth] Signed request ${SERVICE_NAME} → ${audience}`);
+    return { [SIGNATURE_HEADER]: token };
+}
@@ -0,0 +1,202 @@
+// /noona/vault/auth/vaultToken.mjs — Vault Token Lifecycle (Verify, Refresh Before Expiry, Follow Rotation)
+//
+// Warden stores this service's Vault token in Redis at NOONA:TOKEN:<service> and
+// may rotate it at any time. The token is verified against the Vault public key,
+// re-read shortly before it expires or when Vault answers 401, and — with
+// VAULT_TOKEN_WATCH — re-read as soon as Redis reports the key changed.
+
+import jwt from 'jsonwebtoken';
+import { createClient } from 'redis';
+import { printStep, printDebug, printResult, printError } from '../../logger/logUtils.mjs';
+import { loadPublicKey } from './getPublicKey.mjs';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const SERVICE_NAME = process.env.SERVICE_NAME || 'noona-portal';
+const TOKEN_KEY = `NOONA:TOKEN:${SERVICE_NAME}`;
+const REFRESH_BEFORE_MS = (parseInt(process.env.VAULT_TOKEN_REFRESH_SECONDS, 10) || 60) * 1000;
+
+// How often Redis is re-read while waiting for Warden to rotate a token that is about to expire.
+const ROTATION_POLL_MS = 10_000;
+
+/**
+ * @type {{ token: string, expiresAt: number|null, verified: boolean }|null}
+ */
+let current = null;
+let loading = null;
+let refreshTimer = null;
+let watcher = null;
+
+/**
+ * Error thrown when a token from Redis can't be used.
+ */
+export class VaultTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VaultTokenError';
+    }
+}
+
+async function readTokenFromRedis() {
+    const client = createClient({ url: REDIS_URL });
+    printStep(`[Vault] 🧠 Connecting to Redis at ${REDIS_URL} to fetch token for ${SERVICE_NAME}`);
+
+    try {
+        await client.connect();
+        return await client.get(TOKEN_KEY);
+    } finally {
+        await client.disconnect().catch(() => null);
+        printDebug('[Vault] Redis client disconnected');
+    }
+}
+
+/**
+ * 🔏 Check a token's signature and expiry. Only when no public key could be
+ * fetched at all is the token used on its decoded expiry and verified on the
+ * next refresh — once a signature check has failed, the token is rejected.
+ * @throws {VaultTokenError}
+ */
+async function inspectToken(token) {
+    const verify = key => jwt.verify(token, key, { algorithms: ['RS256'] });
+
+    let claims = null;
+    let publicKey = await loadPublicKey();
+    if (publicKey) {
+        try {
+            claims = verify(publicKey);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') throw new VaultTokenError('Token in Redis has expired');
+
+            // The key may have been rotated — retry once with a fresh copy
+            publicKey = await loadPublicKey(true);
+            if (!publicKey) throw new VaultTokenError(`Token failed verification: ${err.message}`);
+            try {
+                claims = verify(publicKey);
+            } catch (retryErr) {
+                throw new VaultTokenError(`Token failed verification: ${retryErr.message}`);
+            }
+        }
+    }
+
+    const verified = Boolean(claims);
+    if (!verified) {
+        claims = jwt.decode(token);
+        if (!claims) throw new VaultTokenError('Token in Redis is not a JWT');
+        printError('[Vault] ⚠️ Public key unavailable — using the token unverified until the next refresh');
+        if (claims.exp && claims.exp * 1000 <= Date.now()) throw new VaultTokenError('Token in Redis has expired');
+    }
+
+    return { token, expiresAt: claims.exp ? claims.exp * 1000 : null, verified };
+}
+
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (!current) return;
+
+    // Unverified tokens are checked again soon; verified ones shortly before they expire
+    const dueAt = current.verified
+        ? current.expiresAt && current.expiresAt - REFRESH_BEFORE_MS
+        : Math.min(Date.now() + REFRESH_BEFORE_MS, current.expiresAt ?? Infinity);
+    if (!dueAt) return;
+
+    const delay = dueAt > Date.now() ? dueAt - Date.now() : ROTATION_POLL_MS;
+    refreshTimer = setTimeout(() => {
+        refreshVaultToken('scheduled refresh').catch(() => null);
+    }, delay);
+    refreshTimer.unref();
+}
+
+/**
+ * 🔄 Read the token from Redis again, replacing the current one when the new one is usable.
+ * @param {string} [reason]
+ * @returns {Promise<string|null>} The usable token, or null when there is none
+ */
+export function refreshVaultToken(reason = 'refresh') {
+    if (!loading) {
+        loading = (async () => {
+            printDebug(`[Vault] Reloading Vault token (${reason})`);
+            try {
+                const token = await readTokenFromRedis();
+                if (!token) throw new VaultTokenError(`Token not found in Redis at key: ${TOKEN_KEY}`);
+
+                if (token !== current?.token || !current.verified) {
+                    current = await inspectToken(token);
+                    const expiry = current.expiresAt ? `, expires ${new Date(current.expiresAt).toISOString()}` : '';
+                    printResult(`[Vault] ✅ Vault token loaded from Redis${expiry}`);
+                } else if (current.expiresAt && current.expiresAt <= Date.now()) {
+                    throw new VaultTokenError('Token in Redis has expired and was not rotated');
+                }
+            } catch (err) {
+                printError(`[Vault] ❌ Vault token unavailable: ${err.message}`);
+                if (current?.expiresAt && current.expiresAt <= Date.now()) current = null;
+            }
+
+            scheduleRefresh();
+            return current?.token || null;
+        })().finally(() => {
+            loading = null;
+        });
+    }
+    return loading;
+}
+
+/**
+ * 🔑 Current Vault token, reloaded when missing or expired.
+ * @returns {Promise<string|null>}
+ */
+export async function getVaultToken() {
+    if (current && (!current.expiresAt || current.expiresAt > Date.now())) {
+        return current.token;
+    }
+    return await refreshVaultToken(current ? 'expired' : 'first use');
+}
+
+/**
+ * 🚫 Vault rejected the token (401): drop it unless Redis already holds a newer one.
+ * @param {string} rejected - The token Vault refused
+ * @returns {Promise<string|null>} A different token to retry with, or null
+ */
+export async function rejectVaultToken(rejected) {
+    const token = await refreshVaultToken('rejected by Vault');
+    if (token === rejected) {
+        printError('[Vault] ❌ Vault rejected the token and Redis has no newer one');
+        return null;
+    }
+    return token;
+}
+
+/**
+ * 👀 Reload the token as soon as Warden rotates it, using Redis keyspace
+ * notifications (the server needs `notify-keyspace-events` to include `K$gx`).
+ */
+export async function watchVaultToken() {
+    if (watcher) return;
+
+    watcher = createClient({ url: REDIS_URL });
+    watcher.on('error', err => printDebug(`[Vault] Token watcher error: ${err.message}`));
+
+    try {
+        await watcher.connect();
+        await watcher.pSubscribe(`__keyspace@*__:${TOKEN_KEY}`, event => {
+            printDebug(`[Vault] Token key event: ${event}`);
+            refreshVaultToken(`key ${event}`).catch(() => null);
+        });
+        printResult(`[Vault] 👀 Watching ${TOKEN_KEY} for rotation`);
+    } catch (err) {
+        printError(`[Vault] ❌ Could not watch ${TOKEN_KEY}: ${err.message}`);
+        await watcher.disconnect().catch(() => null);
+        watcher = null;
+    }
+}
+
+/**
+ * 🛑 Stop refreshing and watching the token.
+ */
+export async function stopVaultToken() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (watcher) {
+        await watcher.disconnect().catch(() => null);
+        watcher = null;
+    }
+}
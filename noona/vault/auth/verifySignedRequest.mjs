@@ -0,0 +1,127 @@
+// /noona/vault/auth/verifySignedRequest.mjs — Verifies RS256-signed inbound requests
+import jwt from 'jsonwebtoken';
+import { printDebug, printError } from '../../logger/logUtils.mjs';
+import { loadPublicKey } from './getPublicKey.mjs';
+import { SIGNATURE_HEADER, digestBody } from './signRequest.mjs';
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'noona-portal';
+const MAX_AGE_SECONDS = parseInt(process.env.SIGNED_REQUEST_MAX_AGE_SECONDS, 10) || 300;
+const CLOCK_TOLERANCE_SECONDS = 30;
+const ALLOWED_ISSUERS = (process.env.SIGNED_REQUEST_ISSUERS || '')
+    .split(',')
+    .map(issuer => issuer.trim())
+    .filter(Boolean);
+
+/**
+ * Nonce (jti) → when its token stops being accepted anyway (ms).
+ * @type {Map<string, number>}
+ */
+const seenNonces = new Map();
+
+/**
+ * Error thrown when an inbound request fails signature verification.
+ */
+export class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignatureError';
+    }
+}
+
+function readToken(req) {
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (signature) return signature;
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' ? token : null;
+}
+
+/**
+ * 🧹 Forget nonces whose tokens would be rejected as too old anyway.
+ */
+function pruneNonces(now = Date.now()) {
+    for (const [nonce, until] of seenNonces) {
+        if (until <= now) seenNonces.delete(nonce);
+    }
+}
+
+/**
+ * 🔁 Accept each nonce once while its token is still valid.
+ */
+function claimNonce(claims) {
+    if (!claims.jti) throw new SignatureError('Missing nonce');
+
+    pruneNonces();
+    if (seenNonces.has(claims.jti)) {
+        printError(`[Auth] Rejected replayed request from ${claims.iss} (nonce ${claims.jti})`);
+        throw new SignatureError('Replayed request');
+    }
+
+    const until = Math.min(claims.exp, claims.iat + MAX_AGE_SECONDS) + CLOCK_TOLERANCE_SECONDS;
+    seenNonces.set(claims.jti, until * 1000);
+}
+
+/**
+ * Verifies a request signed by another Noona service.
+ *
+ * The caller sends a JWT in `x-noona-signature` (or `Authorization: Bearer <jwt>`),
+ * signed with the shared RS256 private key. It must be addressed to this service
+ * (aud), name its sender (iss), carry a single-use nonce (jti) and an issue time
+ * (iat) no older than SIGNED_REQUEST_MAX_AGE_SECONDS, plus a `sha256` claim holding
+ * the hex SHA-256 digest of the raw request body.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {string} rawBody
+ * @returns {Promise<object>} Decoded token claims
+ * @throws {SignatureError}
+ */
+export async function verifySignedRequest(req, rawBody = '') {
+    const token = readToken(req);
+    if (!token) {
+        throw new SignatureError('Missing signature');
+    }
+
+    const options = {
+        algorithms: ['RS256'],
+        audience: SERVICE_NAME,
+        maxAge: MAX_AGE_SECONDS,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+        ...(ALLOWED_ISSUERS.length && { issuer: ALLOWED_ISSUERS })
+    };
+
+    let claims;
+    try {
+        const publicKey = await loadPublicKey();
+        if (!publicKey) throw new SignatureError('Public key unavailable');
+        claims = jwt.verify(token, publicKey, options);
+    } catch (err) {
+        if (err instanceof SignatureError) throw err;
+        if (err.name !== 'JsonWebTokenError' || err.message !== 'invalid signature') {
+            printError(`[Auth] Rejected signed request: ${err.message}`);
+            throw new SignatureError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+        }
+
+        // The key may have been rotated — retry once with a fresh copy
+        printDebug(`[Auth] Signature check failed (${err.message}) — refreshing public key`);
+        const publicKey = await loadPublicKey(true);
+        if (!publicKey) throw new SignatureError('Public key unavailable');
+        try {
+            claims = jwt.verify(token, publicKey, options);
+        } catch (retryErr) {
+            printError(`[Auth] Rejected signed request: ${retryErr.message}`);
+            throw new SignatureError('Invalid signature');
+        }
+    }
+
+    if (!claims.iss || !claims.exp) {
+        throw new SignatureError('Missing issuer or expiry');
+    }
+
+    if (claims.sha256 !== digestBody(rawBody)) {
+        printError('[Auth] Rejected signed request: body digest mismatch');
+        throw new SignatureError('Body digest mismatch');
+    }
+
+    claimNonce(claims);
+    return claims;
+}
@@ -1,79 +1,139 @@
+// /noona/vault/initVault.mjs — Vault Client (Auth, Timeouts, Retries, Readiness Gate & Typed Routes)
+//
+// Every request to Vault goes through `request()`: it waits on one shared
+// readiness gate, sends the Vault token and a fresh request signature, times out,
+// retries transient failures and throws typed errors from vaultErrors.mjs.
+// The route helpers at the bottom are the only place Vault paths appear.
+
 import axios from 'axios';
-import { createClient } from 'redis';
-import { printStep, printDebug, printResult, printError } from '../logger/logUtils.mjs';
-import { getPublicKey as fetchPublicKey } from './auth/getPublicKey.mjs';
-import { postVault } from './auth/postVault.mjs';
+import { printStep, printDebug, printError } from '../logger/logUtils.mjs';
+import { loadPublicKey } from './auth/getPublicKey.mjs';
+import { getVaultToken as loadVaultToken, rejectVaultToken } from './auth/vaultToken.mjs';
+import { getSignatureHeaders } from './auth/signRequest.mjs';
+import {
+    VaultError,
+    VaultAuthError,
+    VaultUnavailableError,
+    isTransientError,
+    toVaultError
+} from './vaultErrors.mjs';
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+};
 
-const VAULT_URL = process.env.VAULT_URL || 'http://localhost:3120';
-const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const VAULT_URL = (process.env.VAULT_URL || 'http://localhost:3120').replace(/\/+$/, '');
 const SERVICE_NAME = process.env.SERVICE_NAME || 'noona-portal';
+const VAULT_SERVICE = 'noona-vault';
+const LEGACY_JWT_HEADER = process.env.VAULT_LEGACY_JWT_HEADER === 'true';
 
-let cachedToken = null;
+const TIMEOUT_MS = envInt('VAULT_TIMEOUT_MS', 5000);
+const MAX_RETRIES = envInt('VAULT_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envInt('VAULT_RETRY_BASE_MS', 500);
+const READY_TIMEOUT_MS = envInt('VAULT_READY_TIMEOUT_MS', 10_000);
 
-/**
- * 🕒 Wait for Vault to respond at /v1/system/health
- */
-export async function waitForVaultReady(timeoutMs = 10000) {
-    const start = Date.now();
-    printStep(`⏳ Waiting for Vault to become ready at ${VAULT_URL}...`);
-    while (Date.now() - start < timeoutMs) {
-        try {
-            await axios.get(`${VAULT_URL}/v1/system/health`);
-            printDebug('[Vault] Health check succeeded');
-            return true;
-        } catch {
-            await new Promise(res => setTimeout(res, 500));
-        }
+// After a failed readiness wait, requests fail fast for this long instead of each waiting again.
+const NOT_READY_BACKOFF_MS = 30_000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let ready = false;
+let notReadyUntil = 0;
+let waiting = null;
+
+function markReady(isReady) {
+    if (isReady && !ready) printDebug('[Vault] Vault is reachable');
+    ready = isReady;
+    if (isReady) notReadyUntil = 0;
+}
+
+async function checkHealth(timeoutMs) {
+    try {
+        await axios.get(`${VAULT_URL}/v1/system/health`, { timeout: timeoutMs });
+        return true;
+    } catch {
+        return false;
     }
-    printError('[Vault] ❌ Vault did not become ready in time');
-    return false;
 }
 
 /**
- * 🔑 Fetch Vault-issued token from Redis for this service
+ * 🕒 Wait for Vault to respond at /v1/system/health. Concurrent callers share one
+ * wait, and once Vault has answered, later calls return right away until it stops answering.
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>}
  */
-export async function getVaultToken() {
-    if (cachedToken) {
-        printDebug('[Vault] Using cached Vault token');
-        return cachedToken;
+export function waitForVaultReady(timeoutMs = READY_TIMEOUT_MS) {
+    if (ready) return Promise.resolve(true);
+
+    if (!waiting) {
+        waiting = (async () => {
+            printStep(`⏳ Waiting for Vault to become ready at ${VAULT_URL}...`);
+            const start = Date.now();
+            while (Date.now() - start < timeoutMs) {
+                if (await checkHealth(Math.min(TIMEOUT_MS, timeoutMs))) {
+                    printDebug('[Vault] Health check succeeded');
+                    markReady(true);
+                    return true;
+                }
+                await sleep(500);
+            }
+            printError('[Vault] ❌ Vault did not become ready in time');
+            return false;
+        })().finally(() => {
+            waiting = null;
+        });
     }
+    return waiting;
+}
 
-    const client = createClient({ url: REDIS_URL });
-    const key = `NOONA:TOKEN:${SERVICE_NAME}`;
-    printStep(`[Vault] 🧠 Connecting to Redis at ${REDIS_URL} to fetch token for ${SERVICE_NAME}`);
+/**
+ * 🩺 Single, quiet Vault health check (used by the portal's /health and /ready probes)
+ */
+export async function pingVault(timeoutMs = 2000) {
+    const online = await checkHealth(timeoutMs);
+    if (!online) printDebug('[Vault] Ping failed');
+    markReady(online);
+    return online;
+}
 
-    try {
-        await client.connect();
-        const token = await client.get(key);
+/**
+ * 🚦 Let a request through once Vault is ready; fail fast for a while after a failed wait.
+ * @throws {VaultUnavailableError}
+ */
+async function passReadinessGate(endpoint) {
+    if (ready) return;
 
-        if (!token) {
-            printError(`[Vault] ❌ Token not found in Redis at key: ${key}`);
-            return null;
-        }
+    if (Date.now() < notReadyUntil) {
+        const retryIn = Math.ceil((notReadyUntil - Date.now()) / 1000);
+        throw new VaultUnavailableError(`Vault is not ready (checking again in ${retryIn}s)`, { endpoint });
+    }
 
-        cachedToken = token;
-        printResult('[Vault] ✅ Vault token loaded from Redis');
-        return token;
-    } catch (err) {
-        printError(`[Vault] ❌ Redis token fetch failed: ${err.message}`);
-        return null;
-    } finally {
-        await client.disconnect();
-        printDebug('[Vault] Redis client disconnected');
+    if (!(await waitForVaultReady())) {
+        notReadyUntil = Date.now() + NOT_READY_BACKOFF_MS;
+        throw new VaultUnavailableError('Vault is not ready', { endpoint });
     }
 }
 
+/**
+ * 🔑 Vault-issued token for this service, refreshed from Redis as needed (delegates to auth/vaultToken.mjs)
+ */
+export async function getVaultToken() {
+    return await loadVaultToken();
+}
+
 /**
  * 🔓 Expose cached public key (delegates to auth/getPublicKey.mjs)
  */
 export async function getPublicKey() {
-    return await fetchPublicKey();
+    return await loadPublicKey();
 }
 
 /**
- * 📬 Generate internal service-to-service headers
+ * 📬 Generate internal service-to-service headers, signed for this one request.
+ * Pass the raw body exactly as it will be sent; every call signs a new nonce.
  */
-export async function getAuthHeaders(target = 'noona-vault') {
+export async function getAuthHeaders(target = VAULT_SERVICE, body = '') {
     const jwtToken = await getVaultToken();
     if (!jwtToken) {
         printError('[Vault] ❌ No JWT token available — cannot create auth headers');
@@ -84,7 +144,9 @@ export async function getAuthHeaders(target = 'noona-vault') {
         Authorization: `Bearer ${jwtToken}`,
         fromTo: `${SERVICE_NAME}::${target}`,
         timestamp: new Date().toISOString(),
-        jwt: jwtToken // legacy support
+        // Older Vault builds read the token from a `jwt` header
+        ...(LEGACY_JWT_HEADER && { jwt: jwtToken }),
+        ...getSignatureHeaders(target, body)
     };
 
     printDebug(`[Vault] Generated auth headers for ${SERVICE_NAME} → ${target}`);
@@ -92,56 +154,236 @@ export async function getAuthHeaders(target = 'noona-vault') {
 }
 
 /**
- * 📥 Load previously notified Kavita item IDs from Vault
+ * Call a Vault JSON endpoint.
+ *
+ * GETs (and calls marked `idempotent`) are retried with exponential backoff on
+ * network errors, timeouts, 429 and 5xx responses. A rejected token is swapped
+ * for a newer one from Redis once. Failures throw a typed error from vaultErrors.mjs.
+ *
+ * @param {'GET' | 'POST'} method
+ * @param {string} endpoint
+ * @param {{ body?: object, auth?: boolean, idempotent?: boolean }} [options] - `auth: false`
+ *   sends only the request signature, for routes needed before a token can be checked
+ * @returns {Promise<any>} Response body
+ * @throws {import('./vaultErrors.mjs').VaultError}
  */
-export async function getNotifiedIds() {
-    const ready = await waitForVaultReady();
-    if (!ready) {
-        printError('[Vault] Aborting request — Vault unavailable');
-        return [];
-    }
+async function request(method, endpoint, { body, auth = true, idempotent = method === 'GET' } = {}) {
+    await passReadinessGate(endpoint);
 
-    const headers = await getAuthHeaders();
-    const url = `${VAULT_URL}/v1/notifications/kavita`;
+    // Sent pre-serialized so the body matches the signed digest byte for byte
+    const data = body === undefined ? '' : JSON.stringify(body);
+    const retries = idempotent ? MAX_RETRIES : 0;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send(method, endpoint, data, auth);
+        } catch (err) {
+            if (!isTransientError(err) || attempt >= retries) {
+                printError(`[Vault] ❌ ${method} ${endpoint} failed: ${err.message}`);
+                throw err;
+            }
+            const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+            printDebug(`[Vault] ${err.message} — retrying ${endpoint} in ${delay}ms (${attempt + 1}/${retries})`);
+            await sleep(delay);
+        }
+    }
+}
 
-    printStep(`[Vault] 📥 Fetching notified IDs from ${url}`);
+/**
+ * Send a single request, retrying once with a newer token on 401.
+ * Every attempt is signed again, since Vault accepts each signature only once.
+ */
+async function send(method, endpoint, data, auth, tokenRefreshed = false) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(auth ? await getAuthHeaders(VAULT_SERVICE, data) : getSignatureHeaders(VAULT_SERVICE, data))
+    };
+    if (auth && !headers.Authorization) {
+        throw new VaultAuthError('No Vault token available', { endpoint });
+    }
 
+    printDebug(`[Vault] ${method} ${endpoint}`);
     try {
-        const res = await axios.get(url, { headers });
-        const ids = res.data?.notifiedIds || [];
-        printResult(`[Vault] ✅ Retrieved ${ids.length} notified IDs`);
-        return ids;
+        const res = await axios({
+            method,
+            url: `${VAULT_URL}${endpoint}`,
+            data: data || undefined,
+            headers,
+            timeout: TIMEOUT_MS
+        });
+        markReady(true);
+        return res.data;
     } catch (err) {
-        printError(`[Vault] ❌ Failed to get notified IDs: ${err?.response?.data?.message || err.message}`);
-        return [];
+        const error = toVaultError(err, endpoint);
+
+        // No answer at all — send the next request through the readiness gate again
+        if (isTransientError(error) && !error.status) markReady(false);
+
+        if (auth && error.status === 401 && !tokenRefreshed) {
+            const token = await rejectVaultToken(headers.Authorization.slice('Bearer '.length));
+            if (token) {
+                printDebug('[Vault] Retrying with a refreshed token');
+                return send(method, endpoint, data, auth, true);
+            }
+        }
+        throw error;
     }
 }
 
+const readDocument = async (endpoint, field, fallback) => (await request('GET', endpoint))?.[field] ?? fallback;
+
+// Saves replace the whole document (and deltas set or remove keys), so repeating one is safe
+const writeDocument = async (endpoint, body) => {
+    await request('POST', endpoint, { body, idempotent: true });
+};
+
+/**
+ * 🔓 Fetch Vault's public key. Signed but sent without a token, because the key is
+ * what verifies the token.
+ * @returns {Promise<string>}
+ * @throws {VaultError}
+ */
+export async function fetchVaultPublicKey() {
+    const endpoint = '/v1/system/token';
+    const data = await request('GET', endpoint, { auth: false });
+    if (!data?.success || !data.publicKey) {
+        throw new VaultError('Vault returned no public key', { endpoint });
+    }
+    return data.publicKey;
+}
+
+/**
+ * 📥 Load previously notified Kavita item IDs from Vault
+ * @returns {Promise<Array<string|number>>}
+ */
+export async function getNotifiedIds() {
+    return await readDocument('/v1/notifications/kavita', 'notifiedIds', []);
+}
+
 /**
  * 📤 Save updated list of notified item IDs back to Vault
+ * @param {Array<string|number>} ids
  */
 export async function saveNotifiedIds(ids = []) {
-    const ready = await waitForVaultReady();
-    if (!ready) {
-        printError('[Vault] Aborting request — Vault unavailable');
-        return false;
-    }
+    await writeDocument('/v1/notifications/kavita', { ids });
+}
 
-    const url = `${VAULT_URL}/v1/notifications/kavita`;
-    const headers = await getAuthHeaders();
-    printStep(`[Vault] 📤 Saving ${ids.length} notified IDs to ${url}`);
+/**
+ * 📥 Load the library → Discord channel notification routes from Vault
+ * @returns {Promise<Record<string, string[]>>}
+ */
+export async function getNotificationRoutes() {
+    return await readDocument('/v1/notifications/routes', 'routes', {});
+}
 
-    if (!headers || !headers.Authorization) {
-        printError('[Vault] ❌ Cannot save notified IDs: Failed to generate auth headers.');
-        return false;
-    }
+/**
+ * 📤 Save the library → Discord channel notification routes to Vault
+ * @param {Record<string, string[]>} routes
+ */
+export async function saveNotificationRoutes(routes = {}) {
+    await writeDocument('/v1/notifications/routes', { routes });
+}
 
-    try {
-        const res = await axios.post(url, { ids }, { headers });
-        printDebug(`[Vault] Save response status: ${res.status}`);
-        return res.status === 200 || res.status === 201;
-    } catch (err) {
-        printError(`[Vault] ❌ Failed to save notified IDs: ${err?.response?.status} ${err?.response?.data?.message || err.message}`);
-        return false;
-    }
+/**
+ * 📥 Load users' series subscriptions from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getSubscriptions() {
+    return await readDocument('/v1/notifications/subscriptions', 'subscriptions', {});
+}
+
+/**
+ * 📤 Save users' series subscriptions to Vault
+ * @param {Record<string, object>} subscriptions
+ */
+export async function saveSubscriptions(subscriptions = {}) {
+    await writeDocument('/v1/notifications/subscriptions', { subscriptions });
+}
+
+/**
+ * 📥 Load Discord ↔ Kavita account records (join requests and links) from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getAccounts() {
+    return await readDocument('/v1/portal/accounts', 'accounts', {});
+}
+
+/**
+ * 📤 Save Discord ↔ Kavita account records to Vault
+ * @param {Record<string, object>} accounts
+ */
+export async function saveAccounts(accounts = {}) {
+    await writeDocument('/v1/portal/accounts', { accounts });
+}
+
+/**
+ * 📥 Load scheduled maintenance jobs from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getScheduledJobs() {
+    return await readDocument('/v1/portal/jobs', 'jobs', {});
+}
+
+/**
+ * 📤 Save scheduled maintenance jobs to Vault
+ * @param {Record<string, object>} jobs
+ */
+export async function saveScheduledJobs(jobs = {}) {
+    await writeDocument('/v1/portal/jobs', { jobs });
+}
+
+/**
+ * 📥 Load custom Discord permission rules from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getPermissionRules() {
+    return await readDocument('/v1/portal/permissions', 'rules', {});
+}
+
+/**
+ * 📤 Save custom Discord permission rules to Vault
+ * @param {Record<string, object>} rules
+ */
+export async function savePermissionRules(rules = {}) {
+    await writeDocument('/v1/portal/permissions', { rules });
+}
+
+/**
+ * 📥 Load per-guild settings from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getGuildConfigs() {
+    return await readDocument('/v1/portal/guilds', 'guilds', {});
+}
+
+/**
+ * 📤 Save per-guild settings to Vault
+ * @param {Record<string, object>} guilds
+ */
+export async function saveGuildConfigs(guilds = {}) {
+    await writeDocument('/v1/portal/guilds', { guilds });
+}
+
+/**
+ * 📥 Load announced Kavita items (ID → announcement metadata) from Vault
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getAnnouncements() {
+    return await readDocument('/v1/notifications/announcements', 'announcements', {});
+}
+
+/**
+ * 📤 Replace all announced Kavita items in Vault
+ * @param {Record<string, object>} announcements
+ */
+export async function saveAnnouncements(announcements = {}) {
+    await writeDocument('/v1/notifications/announcements', { announcements });
+}
+
+/**
+ * 🧮 Add, update and remove announced Kavita items in Vault without resending the rest
+ * @param {{ set?: Record<string, object>, remove?: string[] }} delta
+ */
+export async function patchAnnouncements({ set = {}, remove = [] } = {}) {
+    await writeDocument('/v1/notifications/announcements/delta', { set, remove });
 }
@@ -0,0 +1,95 @@
+// /noona/vault/vaultErrors.mjs — Typed Errors Thrown by the Vault Client
+
+/**
+ * Base error for any failed Vault request.
+ */
+export class VaultError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ status?: number|null, endpoint?: string|null, cause?: Error }} [details]
+     */
+    constructor(message, { status = null, endpoint = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'VaultError';
+        this.status = status;
+        this.endpoint = endpoint;
+    }
+}
+
+/**
+ * Vault rejected the token or request signature (401/403), or there is no token to send.
+ */
+export class VaultAuthError extends VaultError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'VaultAuthError';
+    }
+}
+
+/**
+ * The route or document does not exist (404).
+ */
+export class VaultNotFoundError extends VaultError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'VaultNotFoundError';
+    }
+}
+
+/**
+ * Vault could not be reached, timed out, answered with a 5xx/429,
+ * or did not pass the readiness check.
+ */
+export class VaultUnavailableError extends VaultError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'VaultUnavailableError';
+    }
+}
+
+/**
+ * Vault refused the request payload (400/409/422).
+ */
+export class VaultValidationError extends VaultError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'VaultValidationError';
+    }
+}
+
+/**
+ * 🔁 Whether a failure is worth retrying (network error, timeout, 429 or 5xx).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+    return err instanceof VaultUnavailableError;
+}
+
+/**
+ * 🧭 Convert an axios error into the matching typed Vault error.
+ * @param {Error} err
+ * @param {string} endpoint
+ * @returns {VaultError}
+ */
+export function toVaultError(err, endpoint) {
+    if (err instanceof VaultError) return err;
+
+    const status = err.response?.status ?? null;
+    const details = { status, endpoint, cause: err };
+
+    if (!err.response) {
+        const reason = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT'
+            ? 'timed out'
+            : `is unreachable (${err.code || err.message})`;
+        return new VaultUnavailableError(`Vault ${reason}`, details);
+    }
+
+    const reason = err.response.data?.message || err.response.data?.error || err.message;
+
+    if (status === 401 || status === 403) return new VaultAuthError(`Vault rejected the request: ${reason}`, details);
+    if (status === 404) return new VaultNotFoundError(`Not found in Vault: ${endpoint}`, details);
+    if (status === 400 || status === 409 || status === 422) return new VaultValidationError(reason, details);
+    if (status === 429 || status >= 500) return new VaultUnavailableError(`Vault is unavailable (HTTP ${status})`, details);
+    return new VaultError(`Vault request failed (HTTP ${status}): ${reason}`, details);
+}